@@ -0,0 +1,206 @@
+// exploration.js - 처음 밟은 길 / 다시 걸은 길 구분 (루트 앱과 wayou 페이지가 함께 쓴다)
+//
+// 지도를 EXPLORATION_CELL_DEG 격자로 나누고 칸마다 처음 지나간 시각을 기억한다.
+// 이동 구간을 EXPLORATION_STEP_M 간격으로 나눠, 아직 아무도 지나가지 않은 칸을
+// 지나는 만큼만 그날의 "새로운 길"로 센다.
+// 칸마다 이동 수단별 첫 방문을 따로 두고, 통계는 setModes로 고른 수단만 모아서 낸다.
+// 수단을 구분하지 않는 쪽(wayou 페이지)은 mode를 비워 두면 된다 ("" 수단).
+
+const EXPLORATION_CELL_DEG = 0.0002;
+const EXPLORATION_STEP_M   = 5;
+const EXPLORATION_MAX_GAP_MS = 30 * 60 * 1000;
+
+class ExplorationEngine {
+    // cells: 저장해 둔 [칸 키, { 수단: [처음 지나간 시각, 인정된 거리(m)] }] 목록 (없으면 빈 상태)
+    // 수단 구분 전 형식([시각, 거리])은 "" 수단으로 읽는다.
+    constructor(cells = []) {
+        this.cells = new Map();
+        // "YYYY-MM-DD" → 그날 새로 밟은 거리(m), 칸 목록에서 다시 계산한다
+        this.days  = new Map();
+        this.dirtyCells = new Set();
+        // 통계에 넣을 수단 (null이면 전부)
+        this.modes = null;
+        // 지금 처음으로 가로지르고 있는 칸과 그 수단
+        this.activeKey  = null;
+        this.activeMode = null;
+
+        cells.forEach(([key, cell]) => {
+            const entries = {};
+            if (Array.isArray(cell)) entries[""] = [cell[0], cell[1]];
+            else Object.keys(cell).forEach(mode => { entries[mode] = [cell[mode][0], cell[mode][1]]; });
+            this.cells.set(key, entries);
+        });
+        this._rebuildDays();
+    }
+
+    // 통계에 넣을 수단을 바꾼다. "" 수단은 항상 들어간다.
+    setModes(modes) {
+        this.modes = modes ? new Set(modes) : null;
+        this._rebuildDays();
+    }
+
+    // a → b 이동을 반영하고 새로 밟은 거리(m)를 돌려준다.
+    // 점은 { lat, lng, time } 형태, 시간 간격이 너무 크면 잇지 않고 두 점만 표시한다.
+    addSegment(a, b, mode = "") {
+        if (b.time - a.time > EXPLORATION_MAX_GAP_MS) {
+            this.addPoint(a, mode);
+            this.addPoint(b, mode);
+            return 0;
+        }
+
+        const length = ExplorationEngine.distance(a, b);
+        const steps  = Math.max(1, Math.ceil(length / EXPLORATION_STEP_M));
+        const stepM  = length / steps;
+        let added = 0;
+
+        for (let i = 0; i < steps; i++) {
+            const t = (i + 0.5) / steps;
+            added += this._visit(
+                a.lat + (b.lat - a.lat) * t,
+                a.lng + (b.lng - a.lng) * t,
+                a.time + (b.time - a.time) * t,
+                stepM,
+                mode
+            );
+        }
+        this._visit(b.lat, b.lng, b.time, 0, mode);
+        return added;
+    }
+
+    addPoint(p, mode = "") {
+        this._visit(p.lat, p.lng, p.time, 0, mode);
+    }
+
+    // 칸을 방문 처리. 처음 들어선 칸은 빠져나갈 때까지 지나간 거리를 모두 그날에 더한다.
+    // 이미 있는 칸이라도 더 이른 방문이 들어오면(과거 기록 가져오기) 그 날짜로 옮긴다.
+    _visit(lat, lng, time, meters, mode) {
+        const key = ExplorationEngine.cellKey(lat, lng);
+        let cell  = this.cells.get(key);
+        if (!cell) {
+            cell = {};
+            this.cells.set(key, cell);
+        }
+        const entry  = cell[mode];
+        const before = this._contribution(cell);
+        let added = 0;
+
+        if (key === this.activeKey && mode === this.activeMode) {
+            entry[1] += meters;
+            added = meters;
+        } else if (!entry) {
+            cell[mode] = [time, meters];
+            added = meters;
+            this.activeKey  = key;
+            this.activeMode = mode;
+        } else {
+            this.activeKey = null;
+            if (time >= entry[0]) return 0;
+            entry[0] = time;
+        }
+
+        // 고른 수단들 가운데 가장 이른 방문만 통계에 들어간다
+        const after = this._contribution(cell);
+        if (before) this._addToDay(before[0], -before[1]);
+        if (after)  this._addToDay(after[0], after[1]);
+        this.dirtyCells.add(key);
+        return added;
+    }
+
+    // 칸이 통계에 보태는 [시각, 거리] (고른 수단으로 지나간 적이 없으면 null)
+    _contribution(cell) {
+        let best = null;
+        Object.keys(cell).forEach(mode => {
+            if (mode !== "" && this.modes && !this.modes.has(mode)) return;
+            if (!best || cell[mode][0] < best[0]) best = cell[mode];
+        });
+        return best && [best[0], best[1]];
+    }
+
+    _rebuildDays() {
+        this.days.clear();
+        this.cells.forEach(cell => {
+            const c = this._contribution(cell);
+            if (c) this._addToDay(c[0], c[1]);
+        });
+    }
+
+    _addToDay(time, meters) {
+        if (meters === 0) return;
+        const key = ExplorationEngine.dayKey(time);
+        this.days.set(key, (this.days.get(key) || 0) + meters);
+    }
+
+    // 새로운 길 통계 (m). 한 주는 월요일부터 센다.
+    // includeDay: 날짜 키("YYYY-MM-DD")를 받아 셀 날만 true를 돌려주는 함수 (없으면 모든 날)
+    getStats(now = Date.now(), includeDay = null) {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        const weekStart = new Date(today);
+        weekStart.setDate(today.getDate() - (today.getDay() + 6) % 7);
+
+        const todayKey = ExplorationEngine.dayKey(today.getTime());
+        const weekKey  = ExplorationEngine.dayKey(weekStart.getTime());
+
+        let weekNew = 0, totalUnique = 0;
+        this.days.forEach((meters, key) => {
+            if (includeDay && !includeDay(key)) return;
+            totalUnique += meters;
+            if (key >= weekKey && key <= todayKey) weekNew += meters;
+        });
+
+        return {
+            todayNew: includeDay && !includeDay(todayKey) ? 0 : this.days.get(todayKey) || 0,
+            weekNew,
+            totalUnique
+        };
+    }
+
+    // time까지 처음 지나간 칸마다 fn(칸 중심 { lat, lng }, 수단)을 부른다 (지난 날의 지도용)
+    forEachVisitedBefore(time, fn) {
+        this.cells.forEach((cell, key) => {
+            const center = ExplorationEngine.cellCenter(key);
+            Object.keys(cell).forEach(mode => {
+                if (cell[mode][0] <= time) fn(center, mode);
+            });
+        });
+    }
+
+    // 저장 후 dirtyCells를 비운다 (증분 저장용)
+    takeDirtyCells() {
+        const keys = [...this.dirtyCells];
+        this.dirtyCells.clear();
+        return keys.map(key => [key, this.cells.get(key)]);
+    }
+
+    toJSON() {
+        return [...this.cells];
+    }
+
+    static cellKey(lat, lng) {
+        return `${Math.floor(lat / EXPLORATION_CELL_DEG)}_${Math.floor(lng / EXPLORATION_CELL_DEG)}`;
+    }
+
+    static cellCenter(key) {
+        const [y, x] = key.split("_").map(Number);
+        return { lat: (y + 0.5) * EXPLORATION_CELL_DEG, lng: (x + 0.5) * EXPLORATION_CELL_DEG };
+    }
+
+    static dayKey(time) {
+        const d = new Date(time);
+        const pad = n => String(n).padStart(2, "0");
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    // 두 점 사이 거리 (m, Haversine). 나의대동여지도 index.html은 utils.js를 불러오지 않아 여기 따로 둔다.
+    static distance(a, b) {
+        const R = 6371000;
+        const dLat = (b.lat - a.lat) * Math.PI / 180;
+        const dLng = (b.lng - a.lng) * Math.PI / 180;
+        const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) *
+                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+}
+
+window.ExplorationEngine = ExplorationEngine;
@@ -0,0 +1,119 @@
+// kalman.js - GPS 위치 보정 칼만 필터 (루트 앱과 나의대동여지도 앱이 함께 쓴다)
+//
+// 등속도 모델. 동/북 축마다 [위치, 속도]를 추정하고, 보고된 정확도를 위치 오차로,
+// speed·heading을 속도 측정값으로 쓴다. 빌딩 숲의 튀는 점이 경로와 거리에 들어가지 않게 한다.
+
+const KALMAN_ACCEL_NOISE    = 1.5;        // 가속도 표준편차 (m/s²)
+const KALMAN_SPEED_NOISE    = 1.0;        // 보고된 속도의 오차 (m/s)
+const KALMAN_RESET_MS       = 60 * 1000;  // 이 시간 이상 끊기면 새로 시작
+const KALMAN_METERS_PER_DEG = 111320;
+
+class KalmanFilter {
+    constructor({ accelNoise = KALMAN_ACCEL_NOISE, speedNoise = KALMAN_SPEED_NOISE, resetAfter = KALMAN_RESET_MS } = {}) {
+        this.accelNoise = accelNoise;
+        this.speedNoise = speedNoise;
+        this.resetAfter = resetAfter;
+        this.reset();
+    }
+
+    reset() {
+        this.origin   = null;
+        this.lastTime = null;
+        this.axes     = null;
+    }
+
+    // lat/lng → 원점 기준 미터 좌표
+    _toLocal(lat, lng) {
+        return {
+            e: (lng - this.origin.lng) * Math.cos(this.origin.lat * Math.PI / 180) * KALMAN_METERS_PER_DEG,
+            n: (lat - this.origin.lat) * KALMAN_METERS_PER_DEG
+        };
+    }
+
+    _toLatLng(e, n) {
+        return {
+            lat: this.origin.lat + n / KALMAN_METERS_PER_DEG,
+            lng: this.origin.lng + e / (Math.cos(this.origin.lat * Math.PI / 180) * KALMAN_METERS_PER_DEG)
+        };
+    }
+
+    // 측정값 하나를 반영하고 보정된 { lat, lng, accuracy }를 돌려준다
+    // speed/heading은 없으면 null (heading 없이 speed만 있으면 지금 추정한 진행 방향을 쓴다)
+    update(lat, lng, accuracy, speed, heading, time) {
+        const r = Math.max(accuracy, 1) ** 2;
+
+        if (!this.axes || time - this.lastTime > this.resetAfter || time < this.lastTime) {
+            this.origin   = { lat, lng };
+            this.lastTime = time;
+            this.axes     = {
+                e: { x: 0, v: 0, p00: r, p01: 0, p11: 100 },
+                n: { x: 0, v: 0, p00: r, p01: 0, p11: 100 }
+            };
+            return { lat, lng, accuracy };
+        }
+
+        const dt = (time - this.lastTime) / 1000;
+        this.lastTime  = time;
+        const z        = this._toLocal(lat, lng);
+        const velocity = this._measuredVelocity(speed, heading);
+
+        ["e", "n"].forEach(axis => {
+            const a = this.axes[axis];
+            this._predict(a, dt);
+            this._updatePosition(a, z[axis], r);
+            if (velocity) this._updateVelocity(a, velocity[axis], this.speedNoise ** 2);
+        });
+
+        const { e, n } = this.axes;
+        return {
+            ...this._toLatLng(e.x, n.x),
+            accuracy: Math.sqrt((e.p00 + n.p00) / 2)
+        };
+    }
+
+    _measuredVelocity(speed, heading) {
+        if (speed == null || !isFinite(speed)) return null;
+        if (heading != null && isFinite(heading)) {
+            const rad = heading * Math.PI / 180;
+            return { e: speed * Math.sin(rad), n: speed * Math.cos(rad) };
+        }
+        if (speed === 0) return { e: 0, n: 0 };
+
+        const { e, n } = this.axes;
+        const current  = Math.hypot(e.v, n.v);
+        if (current < 0.1) return null;
+        return { e: e.v / current * speed, n: n.v / current * speed };
+    }
+
+    _predict(a, dt) {
+        const q = this.accelNoise ** 2;
+        a.x   += a.v * dt;
+        a.p00 += dt * (2 * a.p01 + dt * a.p11) + q * dt ** 3 / 3;
+        a.p01 += dt * a.p11 + q * dt ** 2 / 2;
+        a.p11 += q * dt;
+    }
+
+    _updatePosition(a, z, r) {
+        const s  = a.p00 + r;
+        const k0 = a.p00 / s, k1 = a.p01 / s;
+        const y  = z - a.x;
+        a.x   += k0 * y;
+        a.v   += k1 * y;
+        a.p11 -= k1 * a.p01;
+        a.p01 *= 1 - k0;
+        a.p00 *= 1 - k0;
+    }
+
+    _updateVelocity(a, z, r) {
+        const s  = a.p11 + r;
+        const k0 = a.p01 / s, k1 = a.p11 / s;
+        const y  = z - a.v;
+        a.x   += k0 * y;
+        a.v   += k1 * y;
+        a.p00 -= k0 * a.p01;
+        a.p01 *= 1 - k1;
+        a.p11 *= 1 - k1;
+    }
+}
+
+window.KalmanFilter = KalmanFilter;
@@ -1,4 +1,11 @@
 const STORAGE_KEY        = "giloa-v7";
+const LEGACY_BACKUP_KEY  = "giloa-v7-backup";
+const DB_NAME            = "giloa";
+const DB_VERSION         = 8;
+const SCHEMA_VERSION     = 13;
+const LEGACY_SCHEMA_VERSION = 7;
+const FIRST_IDB_SCHEMA_VERSION = 8;
+const MAX_STATE_BACKUPS  = 3;
 const FOG_ENABLED_KEY    = "giloa-fog-enabled";
 const FOG_ALPHA          = 0.8;
 const FOG_RADIUS_M       = 18;
@@ -10,6 +17,8 @@ const SAVE_DELAY_MS      = 800;
 const MERGE_DISTANCE_M   = 6;
 const MERGE_TIME_GAP_MS  = 2 * 60 * 1000;
 const MAX_PATH_POINTS    = 5000;
+const PATH_SEGMENT_GAP_MS = 30 * 60 * 1000;
+const SESSION_LIST_LIMIT  = 20;
 
 const FULL_VISIBILITY_HOURS = 0;
 const MIN_VISIBILITY_HOURS  = 24;
@@ -30,11 +39,18 @@ let isFogEnabled  = true;
 let isHudExpanded = false;
 let currentPos    = null;
 let pathCoordinates = [];
+let sessions      = [];
+let currentSession = null;
+let nextSessionId = 1;
 let memories      = [];
 let totalDistance = 0;
 let playerMarker  = null;
 let watchId       = null;
 let saveTimer     = null;
+let saveQueue     = Promise.resolve();
+let db            = null;
+let storageLocked = false;
+let nextPathId    = 1;
 let rafId         = null;
 const memoryMarkers = new Map();
 
@@ -56,14 +72,16 @@ map.getPane("memoryPane").style.zIndex = 500;
 const fogCanvas  = document.getElementById("fog-canvas");
 const ageCanvas  = document.getElementById("age-canvas");
 const stayCanvas = document.getElementById("stay-canvas");
+const heatCanvas = document.getElementById("heat-canvas");
 const fogCtx     = fogCanvas.getContext("2d");
 const ageCtx     = ageCanvas.getContext("2d");
 const stayCtx    = stayCanvas.getContext("2d");
+const heatCtx    = heatCanvas.getContext("2d");
 
 function resizeCanvas() {
     const w = window.innerWidth;
     const h = window.innerHeight;
-    [fogCanvas, ageCanvas, stayCanvas].forEach(c => {
+    [fogCanvas, ageCanvas, stayCanvas, heatCanvas].forEach(c => {
         c.width  = w; c.height = h;
         c.style.width  = w + "px";
         c.style.height = h + "px";
@@ -82,9 +100,11 @@ function scheduleRender() {
 }
 
 function render() {
-    renderFog();
-    renderAgeTint();
-    renderStayTint();
+    const view = getVisiblePath();
+    renderFog(view);
+    renderAgeTint(view);
+    renderPlaceTint();
+    renderHeatmap(view);
 }
 
 // ── 픽셀 변환 (렌더당 1회) ────────────────────────
@@ -100,26 +120,631 @@ function metersToPixels(meters, mpp) {
     return (meters / mpp) * 10;
 }
 
+// ── 경로 공간 인덱스 ──────────────────────────────
+// 격자 셀마다 그 셀을 지나는 점(과 직전 점에서 이어지는 선분)의 번호를 담아,
+// 프레임마다 화면 근처에 있는 것만 그린다. 축소 화면에서는 미리 줄여 둔 단계(LOD)를 쓴다.
+const INDEX_CELL_DEG      = 0.005;
+const INDEX_MAX_CELLS     = 64;
+const VIEW_MARGIN_RATIO   = 0.25;
+const LOD_CELL_DEG        = [0.0002, 0.001, 0.005, 0.025];
+const LOD_PIXEL_TOLERANCE = 4;
+const METERS_PER_DEG      = 111320;
+
+let pathIndexCache = null;
+// 점을 제자리에서 고칠 때(수단 확정, 제자리 체류 연장)마다 올린다. 축소 단계는 점을 복사해 두기 때문
+let pathRevision   = 0;
+
+function markPathChanged() {
+    pathRevision++;
+}
+
+// 경로 배열이 바뀌었거나(압축), 점이 늘었거나, 점을 고쳤을 때만 다시 만든다.
+function getPathIndex() {
+    if (pathIndexCache &&
+        pathIndexCache.source === pathCoordinates &&
+        pathIndexCache.length === pathCoordinates.length &&
+        pathIndexCache.revision === pathRevision) {
+        return pathIndexCache;
+    }
+
+    pathIndexCache = {
+        source: pathCoordinates,
+        length: pathCoordinates.length,
+        revision: pathRevision,
+        levels: [
+            buildGridIndex(pathCoordinates, 0, INDEX_CELL_DEG),
+            ...LOD_CELL_DEG.map(lodCellDeg => buildGridIndex(
+                buildLodPoints(pathCoordinates, lodCellDeg),
+                lodCellDeg,
+                Math.max(INDEX_CELL_DEG, lodCellDeg * 20)
+            ))
+        ]
+    };
+    return pathIndexCache;
+}
+
+// 점 i는 (i-1 → i) 선분의 경계 상자가 걸치는 모든 셀에 들어간다.
+// 너무 긴 선분은 셀 대신 oversized 목록에 두고 매번 경계 상자로 검사한다.
+function buildGridIndex(points, lodCellDeg, cellDeg) {
+    const cells     = new Map();
+    const oversized = [];
+
+    for (let i = 0; i < points.length; i++) {
+        const a  = points[i];
+        const b  = i > 0 && !isPathBreak(points[i - 1], a) ? points[i - 1] : a;
+        const y0 = Math.floor(Math.min(a.lat, b.lat) / cellDeg);
+        const y1 = Math.floor(Math.max(a.lat, b.lat) / cellDeg);
+        const x0 = Math.floor(Math.min(a.lng, b.lng) / cellDeg);
+        const x1 = Math.floor(Math.max(a.lng, b.lng) / cellDeg);
+
+        if ((y1 - y0 + 1) * (x1 - x0 + 1) > INDEX_MAX_CELLS) {
+            oversized.push(i);
+            continue;
+        }
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const key = `${y}_${x}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(i);
+            }
+        }
+    }
+
+    return { points, lodCellDeg, cellDeg, cells, oversized };
+}
+
+// 같은 셀 안에서 연달아 찍힌 점을 하나로 합친다.
+// 가장 최근 시각과 가장 긴 체류를 남겨야 확대했을 때와 밝기·색이 어긋나지 않는다.
+// 밀도 지도 무게(heat)는 합친 점들의 무게를 모두 더해 원래 경로와 같게 둔다.
+function buildLodPoints(points, lodCellDeg) {
+    const result = [];
+    let lastKey  = null;
+
+    points.forEach(p => {
+        const key  = `${Math.floor(p.lat / lodCellDeg)}_${Math.floor(p.lng / lodCellDeg)}`;
+        const last = result[result.length - 1];
+
+        if (last && key === lastKey && last.sessionId === p.sessionId && last.mode === p.mode) {
+            const stay = Math.max(last.endTime - last.startTime, p.endTime - p.startTime);
+            last.startTime = Math.max(last.startTime, p.startTime);
+            last.endTime   = last.startTime + stay;
+            last.visits   += p.visits || 1;
+            last.heat     += getHeatWeight(p);
+            return;
+        }
+
+        result.push({
+            lat: p.lat, lng: p.lng,
+            startTime: p.startTime, endTime: p.endTime,
+            visits: p.visits || 1, sessionId: p.sessionId, mode: p.mode,
+            heat: getHeatWeight(p)
+        });
+        lastKey = key;
+    });
+
+    return result;
+}
+
+// 이번 프레임에 그릴 점 목록과, 그중 화면 근처에 있는 점 번호(오름차순)
+function getVisiblePath() {
+    const mpp   = calcMpp();
+    const index = getPathIndex();
+
+    const tolerance = (mpp / 10) * LOD_PIXEL_TOLERANCE;
+    let level = index.levels[0];
+    index.levels.forEach(l => {
+        if (l.lodCellDeg * METERS_PER_DEG <= tolerance) level = l;
+    });
+
+    const bounds = map.getBounds().pad(VIEW_MARGIN_RATIO);
+    const south = bounds.getSouth(), north = bounds.getNorth();
+    const west  = bounds.getWest(),  east  = bounds.getEast();
+
+    const hits = new Set();
+    const y0 = Math.floor(south / level.cellDeg), y1 = Math.floor(north / level.cellDeg);
+    const x0 = Math.floor(west  / level.cellDeg), x1 = Math.floor(east  / level.cellDeg);
+
+    if ((y1 - y0 + 1) * (x1 - x0 + 1) > level.cells.size) {
+        level.cells.forEach(list => list.forEach(i => hits.add(i)));
+    } else {
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const list = level.cells.get(`${y}_${x}`);
+                if (list) list.forEach(i => hits.add(i));
+            }
+        }
+    }
+
+    // oversized에는 끊김이 아닌 긴 선분만 들어 있다
+    level.oversized.forEach(i => {
+        const a = level.points[i], b = level.points[i - 1];
+        if (Math.max(a.lat, b.lat) >= south && Math.min(a.lat, b.lat) <= north &&
+            Math.max(a.lng, b.lng) >= west  && Math.min(a.lng, b.lng) <= east) {
+            hits.add(i);
+        }
+    });
+
+    return {
+        points:  level.points,
+        indices: [...hits].sort((a, b) => a - b),
+        mpp
+    };
+}
+
+// ── 누적 탐험 래스터 ──────────────────────────────
+// 고정 줌(EXPLORED_ZOOM) 타일마다 칸 단위 비트맵으로 "한 번이라도 밝혀진 곳"을 기록한다.
+// 경로 점은 압축·솎아내기로 줄어들지만 이 래스터는 지워지지 않는다.
+// 이동 수단마다 비트맵을 따로 두고, 그릴 때는 고른 수단의 비트맵만 합친다.
+// 수단 구분 전에 저장한 비트맵은 "" 수단으로 두고 수단 선택과 상관없이 항상 그린다.
+const EXPLORED_ZOOM       = 16;
+const EXPLORED_TILE_CELLS = 64;
+const EXPLORED_CELL_PX    = 256 / EXPLORED_TILE_CELLS;
+
+const exploredTiles = new Map();
+const exploredDirty = new Set();
+
+// EXPLORED_ZOOM 기준 전역 칸 좌표
+function exploredCellPoint(p) {
+    const px = map.project([p.lat, p.lng], EXPLORED_ZOOM);
+    return { x: px.x / EXPLORED_CELL_PX, y: px.y / EXPLORED_CELL_PX };
+}
+
+function exploredRadiusCells(lat) {
+    const metersPerPx = 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, EXPLORED_ZOOM);
+    return FOG_RADIUS_M / (metersPerPx * EXPLORED_CELL_PX);
+}
+
+function getExploredTile(tx, ty, mode, tiles = exploredTiles) {
+    const key = `${tx}_${ty}`;
+    let tile = tiles.get(key);
+    if (!tile) {
+        tile = { bits: {}, canvas: null };
+        tiles.set(key, tile);
+    }
+    if (!tile.bits[mode]) tile.bits[mode] = new Uint8Array(EXPLORED_TILE_CELLS * EXPLORED_TILE_CELLS / 8);
+    return { key, bits: tile.bits[mode], tile };
+}
+
+// tiles를 주면 저장하지 않는 따로 된 래스터에 찍는다 (지난 날의 지도)
+function stampExploredDisc(cx, cy, r, mode, tiles = exploredTiles) {
+    for (let y = Math.floor(cy - r); y <= Math.ceil(cy + r); y++) {
+        for (let x = Math.floor(cx - r); x <= Math.ceil(cx + r); x++) {
+            const dx = x + 0.5 - cx, dy = y + 0.5 - cy;
+            if (dx * dx + dy * dy > r * r) continue;
+
+            const tx = Math.floor(x / EXPLORED_TILE_CELLS);
+            const ty = Math.floor(y / EXPLORED_TILE_CELLS);
+            const { key, bits, tile } = getExploredTile(tx, ty, mode, tiles);
+            const bit = (y - ty * EXPLORED_TILE_CELLS) * EXPLORED_TILE_CELLS + (x - tx * EXPLORED_TILE_CELLS);
+            if (bits[bit >> 3] & (1 << (bit & 7))) continue;
+
+            bits[bit >> 3] |= 1 << (bit & 7);
+            tile.canvas = null;
+            if (tiles === exploredTiles) exploredDirty.add(key);
+        }
+    }
+}
+
+function stampExploredPoint(p) {
+    const c = exploredCellPoint(p);
+    stampExploredDisc(c.x, c.y, exploredRadiusCells(p.lat), getPointMode(p));
+}
+
+// renderFog가 잇는 선분과 같은 모양으로 찍되, 세션이 다르거나 시간 간격이 큰 두 점은 잇지 않는다.
+// 선분은 도착한 점(b)의 수단으로 찍는다
+function stampExploredSegment(a, b) {
+    if (isPathBreak(a, b)) {
+        stampExploredPoint(a);
+        stampExploredPoint(b);
+        return;
+    }
+    const ca = exploredCellPoint(a), cb = exploredCellPoint(b);
+    const r     = exploredRadiusCells(a.lat);
+    const mode  = getPointMode(b);
+    const len   = Math.hypot(cb.x - ca.x, cb.y - ca.y);
+    const steps = Math.max(1, Math.ceil(len / (r / 2)));
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        stampExploredDisc(ca.x + (cb.x - ca.x) * t, ca.y + (cb.y - ca.y) * t, r, mode);
+    }
+}
+
+function stampExploredPath(points) {
+    points.forEach((p, i) => {
+        if (i === 0) stampExploredPoint(p);
+        else stampExploredSegment(points[i - 1], p);
+    });
+}
+
+// 고른 수단의 비트맵을 합쳐 그린다. 수단 선택이 바뀌면 toggleModeFilter가 캐시를 비운다
+function getExploredTileCanvas(tile) {
+    if (tile.canvas) return tile.canvas;
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = EXPLORED_TILE_CELLS;
+    const ctx   = canvas.getContext("2d");
+    const image = ctx.createImageData(EXPLORED_TILE_CELLS, EXPLORED_TILE_CELLS);
+    const layers = Object.keys(tile.bits)
+        .filter(mode => mode === "" || modeFilter.has(mode))
+        .map(mode => tile.bits[mode]);
+    for (let byte = 0; byte < EXPLORED_TILE_CELLS * EXPLORED_TILE_CELLS / 8; byte++) {
+        let value = 0;
+        layers.forEach(bits => { value |= bits[byte]; });
+        if (value === 0) continue;
+        for (let b = 0; b < 8; b++) {
+            if (value & (1 << b)) image.data[(byte * 8 + b) * 4 + 3] = 255;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+    tile.canvas = canvas;
+    return canvas;
+}
+
+// 화면에 걸친 타일만 현재 줌 크기로 늘려 그린다 (globalAlpha·합성 모드는 호출한 쪽이 정한다)
+function drawExploredRaster(ctx, tiles = exploredTiles) {
+    if (tiles.size === 0) return;
+
+    const zoom   = map.getZoom();
+    const scale  = map.getZoomScale(zoom, EXPLORED_ZOOM);
+    const tileSz = 256 * scale;
+    const bounds = map.getPixelBounds();
+    const origin = map.getPixelOrigin();
+
+    const tx0 = Math.floor(bounds.min.x / tileSz), tx1 = Math.floor(bounds.max.x / tileSz);
+    const ty0 = Math.floor(bounds.min.y / tileSz), ty1 = Math.floor(bounds.max.y / tileSz);
+
+    ctx.imageSmoothingEnabled = true;
+    const drawTile = (tx, ty, tile) => {
+        const pos = map.layerPointToContainerPoint(
+            L.point(tx * tileSz - origin.x, ty * tileSz - origin.y)
+        );
+        ctx.drawImage(getExploredTileCanvas(tile), pos.x, pos.y, tileSz, tileSz);
+    };
+
+    if ((tx1 - tx0 + 1) * (ty1 - ty0 + 1) < tiles.size) {
+        for (let ty = ty0; ty <= ty1; ty++) {
+            for (let tx = tx0; tx <= tx1; tx++) {
+                const tile = tiles.get(`${tx}_${ty}`);
+                if (tile) drawTile(tx, ty, tile);
+            }
+        }
+        return;
+    }
+
+    tiles.forEach((tile, key) => {
+        const [tx, ty] = key.split("_").map(Number);
+        if (tx >= tx0 && tx <= tx1 && ty >= ty0 && ty <= ty1) drawTile(tx, ty, tile);
+    });
+}
+
+// 저장된 래스터가 없으면(처음 또는 localStorage 모드) 지금 있는 경로로 다시 만든다.
+// 수단 구분 전에 저장한 타일(비트맵 하나)은 수단별로 나눌 수 없으니 "" 수단으로 옮긴다
+// (경로는 이미 솎아졌으므로 버리고 다시 만들면 밝혀 둔 곳을 잃는다).
+async function loadExploredRaster() {
+    exploredTiles.clear();
+    exploredDirty.clear();
+
+    if (db) {
+        const tx = db.transaction("explored", "readonly");
+        const [keys, values] = await Promise.all([
+            idbRequest(tx.objectStore("explored").getAllKeys()),
+            idbRequest(tx.objectStore("explored").getAll())
+        ]);
+        keys.forEach((key, i) => {
+            if (!ArrayBuffer.isView(values[i])) {
+                exploredTiles.set(key, { bits: values[i], canvas: null });
+                return;
+            }
+            exploredTiles.set(key, { bits: { "": values[i] }, canvas: null });
+            exploredDirty.add(key);
+        });
+        if (exploredDirty.size > 0) scheduleSave();
+    }
+
+    if (exploredTiles.size === 0) {
+        stampExploredPath(pathCoordinates.filter(isPointSettled));
+        if (db && exploredDirty.size > 0) scheduleSave();
+    }
+}
+
+// ── 새로운 길 ─────────────────────────────────────
+// 처음 밟은 땅과 다시 걸은 땅을 ExplorationEngine(exploration.js)으로 구분한다.
+// 래스터처럼 경로 압축과 무관하게 남으며, 저장된 값이 없으면 경로로 다시 만든다.
+// 칸마다 수단별 첫 방문을 두므로 수단을 골라도 그 수단으로 처음 간 길만 센다.
+let exploration = new ExplorationEngine();
+
+function recordNewGround(a, b) {
+    if (isPathBreak(a, b)) {
+        exploration.addPoint({ lat: b.lat, lng: b.lng, time: b.startTime }, getPointMode(b));
+        return;
+    }
+    exploration.addSegment(
+        { lat: a.lat, lng: a.lng, time: a.endTime },
+        { lat: b.lat, lng: b.lng, time: b.startTime },
+        getPointMode(b)
+    );
+}
+
+function recordNewGroundPath(points) {
+    points.forEach((p, i) => {
+        if (i === 0) exploration.addPoint({ lat: p.lat, lng: p.lng, time: p.startTime }, getPointMode(p));
+        else recordNewGround(points[i - 1], p);
+    });
+}
+
+async function loadExploration() {
+    let cells = [];
+    if (db) {
+        const tx = db.transaction("exploration", "readonly");
+        const [keys, values] = await Promise.all([
+            idbRequest(tx.objectStore("exploration").getAllKeys()),
+            idbRequest(tx.objectStore("exploration").getAll())
+        ]);
+        cells = keys.map((key, i) => [key, values[i]]);
+    } else {
+        cells = loadLegacyExploration();
+    }
+    // 수단 구분 전 형식([시각, 거리])은 ExplorationEngine이 "" 수단으로 읽는다. 새 형식으로 다시 쓴다
+    exploration = new ExplorationEngine(cells);
+    exploration.setModes(getSelectedModes());
+    cells.forEach(([key, value]) => { if (Array.isArray(value)) exploration.dirtyCells.add(key); });
+    if (db && exploration.dirtyCells.size > 0) scheduleSave();
+
+    if (cells.length === 0) {
+        recordNewGroundPath(pathCoordinates.filter(isPointSettled));
+        if (db && exploration.dirtyCells.size > 0) scheduleSave();
+    }
+}
+
+// ── 지난 날의 지도 ────────────────────────────────
+// viewTime을 고르면 그때를 "지금"으로 보고 안개·경과 일수·장소를 다시 그린다 (null이면 실제 지금).
+// 누적 래스터에는 시각이 없어서, 그동안은 ExplorationEngine 칸의 첫 방문 시각으로
+// 그때까지 밝혀진 곳만 담은 래스터를 따로 만들어 쓴다 (저장하지 않는다).
+let viewTime          = null;
+let timeMachineRaster = null;
+
+function getViewTime() {
+    return viewTime === null ? Date.now() : viewTime;
+}
+
+// 고른 날의 끝(다음 날 0시)을 기준 시각으로 삼는다. 오늘 이후를 고르면 지금으로 돌아온다
+function setTimeMachineDate(value) {
+    if (!value) { resetTimeMachine(); return; }
+    const [year, month, day] = value.split("-").map(Number);
+    const time = new Date(year, month - 1, day + 1).getTime();
+    if (time > Date.now()) { resetTimeMachine(); return; }
+    viewTime = time;
+    syncTimeMachineUI();
+    invalidatePlaces();
+    scheduleRender();
+}
+
+// 한 달씩 앞뒤로 옮긴다
+function stepTimeMachine(months) {
+    const date = new Date(getViewTime() - 1);
+    date.setMonth(date.getMonth() + months);
+    setTimeMachineDate(ExplorationEngine.dayKey(date.getTime()));
+}
+
+function resetTimeMachine() {
+    if (viewTime === null) return;
+    viewTime = null;
+    timeMachineRaster = null;
+    syncTimeMachineUI();
+    invalidatePlaces();
+    scheduleRender();
+}
+
+function getTimeMachineTiles() {
+    if (timeMachineRaster && timeMachineRaster.time === viewTime) return timeMachineRaster.tiles;
+    const tiles = new Map();
+    exploration.forEachVisitedBefore(viewTime, (center, mode) => {
+        const c = exploredCellPoint(center);
+        stampExploredDisc(c.x, c.y, exploredRadiusCells(center.lat), mode, tiles);
+    });
+    timeMachineRaster = { time: viewTime, tiles };
+    return tiles;
+}
+
+function syncTimeMachineUI() {
+    const input = document.getElementById("time-machine-date");
+    const badge = document.getElementById("time-machine-badge");
+    if (input) {
+        input.max   = ExplorationEngine.dayKey(Date.now());
+        input.value = viewTime === null ? "" : ExplorationEngine.dayKey(viewTime - 1);
+    }
+    if (badge) {
+        badge.classList.toggle("show", viewTime !== null);
+        badge.textContent = viewTime === null ? "" :
+            new Date(viewTime - 1).toLocaleDateString("ko-KR",
+                { year: "numeric", month: "long", day: "numeric" }) + "의 지도 ✕";
+    }
+}
+
+// ── 기간·시간대 필터 ──────────────────────────────
+// 날짜 범위·요일·시간대(자정을 넘겨도 된다)로 경로 점·머문 곳·기억·사진을 거른다.
+// 경로 점과 머문 곳은 시작 시각으로 본다. 누적 래스터와 새로운 길 칸에는 처음 밝힌 시각만
+// 남아서, 필터가 켜져 있는 동안 안개는 남아 있는 경로 점으로만 그린다 (솎아진 옛 구간은 덜 밝혀진다).
+// 통계에 적용하면 거리·기억·사진 수는 필터를 따르고, 새로운 길은 하루 단위라 날짜·요일만 따른다.
+// 시각을 모르는 경로(합친 wayou 기억)는 wayou 페이지처럼 시각 0부터 점 순서대로 두며 어느 날에도 들지 않는다
+const TIME_FILTER_KEY = "giloa-time-filter";
+const UNDATED_DAY_KEY = ExplorationEngine.dayKey(0);
+
+let timeFilter = createDefaultTimeFilter();
+
+function createDefaultTimeFilter() {
+    return { from: "", to: "", weekdays: [0, 1, 2, 3, 4, 5, 6], fromHour: 0, toHour: 24, applyToStats: false };
+}
+
+function isTimeFilterActive() {
+    return timeFilter.from !== "" || timeFilter.to !== "" || timeFilter.weekdays.length < 7 ||
+           timeFilter.fromHour !== 0 || timeFilter.toHour !== 24;
+}
+
+function isStatsFiltered() {
+    return timeFilter.applyToStats && isTimeFilterActive();
+}
+
+// 날짜·요일만 본다 ("YYYY-MM-DD")
+function matchesDayFilter(dayKey) {
+    if (dayKey === UNDATED_DAY_KEY) return false;
+    if (timeFilter.from && dayKey < timeFilter.from) return false;
+    if (timeFilter.to   && dayKey > timeFilter.to)   return false;
+    const [year, month, day] = dayKey.split("-").map(Number);
+    return timeFilter.weekdays.includes(new Date(year, month - 1, day).getDay());
+}
+
+function matchesTimeFilter(time) {
+    if (!matchesDayFilter(ExplorationEngine.dayKey(time))) return false;
+    const hour = new Date(time).getHours();
+    const { fromHour, toHour } = timeFilter;
+    return fromHour <= toHour
+        ? hour >= fromHour && hour < toHour
+        : hour >= fromHour || hour < toHour;
+}
+
+// 기억·사진처럼 time 하나만 있는 항목
+function isItemShown(item) {
+    return !isTimeFilterActive() || matchesTimeFilter(item.time);
+}
+
+function setMarkerShown(marker, shown) {
+    if (!marker) return;
+    if (shown && !map.hasLayer(marker)) marker.addTo(map);
+    if (!shown && map.hasLayer(marker)) map.removeLayer(marker);
+}
+
+function syncFilteredMarkers() {
+    memories.forEach(m => setMarkerShown(memoryMarkers.get(m.id), isItemShown(m)));
+    photos.forEach(p => setMarkerShown(photoMarkers.get(p.id), isItemShown(p)));
+}
+
+function setTimeFilterRange() {
+    timeFilter.from = document.getElementById("filter-from").value;
+    timeFilter.to   = document.getElementById("filter-to").value;
+    applyTimeFilter();
+}
+
+// 적어도 한 요일은 남긴다
+function toggleWeekdayFilter(day) {
+    const weekdays = new Set(timeFilter.weekdays);
+    if (weekdays.has(day)) {
+        if (weekdays.size === 1) return;
+        weekdays.delete(day);
+    } else {
+        weekdays.add(day);
+    }
+    timeFilter.weekdays = [...weekdays].sort();
+    applyTimeFilter();
+}
+
+function setTimeFilterHours() {
+    timeFilter.fromHour = Number(document.getElementById("filter-from-hour").value);
+    timeFilter.toHour   = Number(document.getElementById("filter-to-hour").value);
+    applyTimeFilter();
+}
+
+function toggleTimeFilterStats() {
+    timeFilter.applyToStats = !timeFilter.applyToStats;
+    applyTimeFilter();
+}
+
+function resetTimeFilter() {
+    timeFilter = { ...createDefaultTimeFilter(), applyToStats: timeFilter.applyToStats };
+    applyTimeFilter();
+}
+
+function applyTimeFilter() {
+    localStorage.setItem(TIME_FILTER_KEY, JSON.stringify(timeFilter));
+    invalidatePlaces();
+    syncFilteredMarkers();
+    syncTimeFilterUI();
+    updateStats();
+    scheduleRender();
+}
+
+// 저장된 값 중 형식이 맞는 것만 받는다
+function loadTimeFilter() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TIME_FILTER_KEY) || "null");
+        if (!saved || typeof saved !== "object") return;
+        const isDay  = v => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+        const isHour = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        const weekdays = Array.isArray(saved.weekdays)
+            ? saved.weekdays.filter(d => isHour(d, 0, 6)) : [];
+        timeFilter = {
+            from:         isDay(saved.from) ? saved.from : "",
+            to:           isDay(saved.to)   ? saved.to   : "",
+            weekdays:     weekdays.length > 0 ? [...new Set(weekdays)].sort() : createDefaultTimeFilter().weekdays,
+            fromHour:     isHour(saved.fromHour, 0, 23) ? saved.fromHour : 0,
+            toHour:       isHour(saved.toHour, 1, 24)   ? saved.toHour   : 24,
+            applyToStats: saved.applyToStats === true
+        };
+    } catch (e) { console.warn("기간 필터 설정을 읽지 못했습니다", e); }
+}
+
+function syncTimeFilterUI() {
+    const fromHour = document.getElementById("filter-from-hour");
+    const toHour   = document.getElementById("filter-to-hour");
+    if (!fromHour || !toHour) return;
+
+    if (fromHour.options.length === 0) {
+        for (let h = 0; h < 24; h++) fromHour.add(new Option(`${h}시`, String(h)));
+        for (let h = 1; h <= 24; h++) toHour.add(new Option(`${h}시`, String(h)));
+    }
+    fromHour.value = String(timeFilter.fromHour);
+    toHour.value   = String(timeFilter.toHour);
+    document.getElementById("filter-from").value = timeFilter.from;
+    document.getElementById("filter-to").value   = timeFilter.to;
+
+    document.querySelectorAll(".weekday-chip").forEach(chip => {
+        chip.classList.toggle("on", timeFilter.weekdays.includes(Number(chip.dataset.day)));
+    });
+
+    const toggleBtn   = document.getElementById("filter-stats-toggle-btn");
+    const toggleState = document.getElementById("filter-stats-toggle-state");
+    const on = timeFilter.applyToStats;
+    toggleBtn.classList.toggle("on",  on);
+    toggleBtn.classList.toggle("off", !on);
+    toggleState.textContent = on ? "켜짐" : "꺼짐";
+    toggleState.classList.toggle("on",  on);
+    toggleState.classList.toggle("off", !on);
+
+    document.getElementById("hud").classList.toggle("filtered", isStatsFiltered());
+}
+
 // ── 안개 레이어 ───────────────────────────────────
-function renderFog() {
+function renderFog(view) {
     const w = fogCanvas.width, h = fogCanvas.height;
     fogCtx.clearRect(0, 0, w, h);
     if (!isFogEnabled) return;
 
     fogCtx.fillStyle = `rgba(8, 10, 18, ${FOG_ALPHA})`;
     fogCtx.fillRect(0, 0, w, h);
-    if (pathCoordinates.length === 0) return;
 
-    const now    = Date.now();
-    const mpp    = calcMpp();
-    const radius = metersToPixels(FOG_RADIUS_M, mpp);
+    const now      = getViewTime();
+    const filtered = isTimeFilterActive();
+    const radius   = metersToPixels(FOG_RADIUS_M, view.mpp);
+    const points   = view.points;
 
     fogCtx.save();
     fogCtx.globalCompositeOperation = "destination-out";
 
-    pathCoordinates.forEach((point, i) => {
+    // 한 번 밝힌 곳은 누적 래스터로 오래된 경로와 같은 밝기만큼 지운다 (기간 필터 중에는 쓰지 않는다)
+    if (!filtered) {
+        fogCtx.globalAlpha = MIN_PATH_VISIBILITY;
+        drawExploredRaster(fogCtx, viewTime === null ? exploredTiles : getTimeMachineTiles());
+    }
+
+    // 최근 경로는 래스터 위에 모자란 밝기만큼만 더 지운다
+    view.indices.forEach(i => {
+        const point    = points[i];
+        if (!isModeVisible(point) || point.startTime > now) return;
+        if (filtered && !matchesTimeFilter(point.startTime)) return;
         const ageHours = (now - point.startTime) / 3600000;
-        fogCtx.globalAlpha = getPathVisibility(ageHours);
+        const extra    = filtered ? getPathVisibility(ageHours) :
+                         (getPathVisibility(ageHours) - MIN_PATH_VISIBILITY) / (1 - MIN_PATH_VISIBILITY);
+        if (extra <= 0) return;
+        fogCtx.globalAlpha = extra;
 
         const pos = map.latLngToContainerPoint([point.lat, point.lng]);
 
@@ -127,10 +752,10 @@ function renderFog() {
         fogCtx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
         fogCtx.fill();
 
-        if (i > 0) {
+        if (i > 0 && !isPathBreak(points[i - 1], point)) {
             const prev = map.latLngToContainerPoint([
-                pathCoordinates[i - 1].lat,
-                pathCoordinates[i - 1].lng
+                points[i - 1].lat,
+                points[i - 1].lng
             ]);
             fogCtx.beginPath();
             fogCtx.lineWidth  = radius * 1.7;
@@ -153,16 +778,20 @@ function getPathVisibility(ageHours) {
 }
 
 // ── 경과 일수 색상 레이어 ─────────────────────────
-function renderAgeTint() {
+function renderAgeTint(view) {
     const w = ageCanvas.width, h = ageCanvas.height;
     ageCtx.clearRect(0, 0, w, h);
-    if (pathCoordinates.length === 0) return;
+    if (view.indices.length === 0) return;
 
-    const now    = Date.now();
-    const mpp    = calcMpp();
-    const radius = metersToPixels(FOG_RADIUS_M, mpp);
+    const now      = getViewTime();
+    const filtered = isTimeFilterActive();
+    const radius   = metersToPixels(FOG_RADIUS_M, view.mpp);
+    const points   = view.points;
 
-    pathCoordinates.forEach((point, i) => {
+    view.indices.forEach(i => {
+        const point   = points[i];
+        if (!isModeVisible(point) || point.startTime > now) return;
+        if (filtered && !matchesTimeFilter(point.startTime)) return;
         const ageDays = (now - point.startTime) / 86400000;
         const color   = getAgeColor(ageDays);
         if (!color) return;
@@ -176,10 +805,10 @@ function renderAgeTint() {
         ageCtx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
         ageCtx.fill();
 
-        if (i > 0) {
+        if (i > 0 && !isPathBreak(points[i - 1], point)) {
             const prev = map.latLngToContainerPoint([
-                pathCoordinates[i - 1].lat,
-                pathCoordinates[i - 1].lng
+                points[i - 1].lat,
+                points[i - 1].lng
             ]);
             ageCtx.beginPath();
             ageCtx.lineWidth  = radius * 1.15;
@@ -201,27 +830,31 @@ function getAgeColor(ageDays) {
     return SEDIMENT_LAYER_COLOR;
 }
 
-// ── 머문 시간 레이어 ──────────────────────────────
-function renderStayTint() {
+// ── 장소 레이어 ───────────────────────────────────
+// 머문 곳 하나하나가 아니라 그것을 묶은 장소를 그린다.
+// 머문 시간이 길수록 넓게, 자주 올수록 진하게.
+function renderPlaceTint() {
     const w = stayCanvas.width, h = stayCanvas.height;
     stayCtx.clearRect(0, 0, w, h);
-    if (pathCoordinates.length === 0) return;
+    const places = getShownPlaces();
+    if (places.length === 0) return;
 
-    const mpp = calcMpp();
+    const mpp    = calcMpp();
+    const bounds = map.getBounds().pad(VIEW_MARGIN_RATIO);
 
-    pathCoordinates.forEach(point => {
-        const stayMin = (point.endTime - point.startTime) / 60000;
-        if (stayMin < 10) return;
+    places.forEach(place => {
+        if (!bounds.contains([place.lat, place.lng])) return;
 
-        const pos    = map.latLngToContainerPoint([point.lat, point.lng]);
-        const radius = metersToPixels(getStayRadiusMeters(stayMin), mpp);
+        const pos    = map.latLngToContainerPoint([place.lat, place.lng]);
+        const radius = metersToPixels(getPlaceRadiusMeters(place), mpp);
+        const alpha  = Math.min(0.32, 0.18 + 0.02 * (place.visitCount - 1));
 
         const grad = stayCtx.createRadialGradient(
             pos.x, pos.y, 0,
             pos.x, pos.y, radius
         );
-        grad.addColorStop(0,   "rgba(255, 220, 100, 0.18)");
-        grad.addColorStop(0.6, "rgba(255, 220, 100, 0.08)");
+        grad.addColorStop(0,   `rgba(255, 220, 100, ${alpha})`);
+        grad.addColorStop(0.6, `rgba(255, 220, 100, ${alpha * 0.45})`);
         grad.addColorStop(1,   "rgba(255, 220, 100, 0)");
 
         stayCtx.fillStyle = grad;
@@ -231,11 +864,170 @@ function renderStayTint() {
     });
 }
 
-function getStayRadiusMeters(stayMin) {
-    if (stayMin < 10)   return FOG_RADIUS_M;
-    if (stayMin >= 180) return FOG_RADIUS_M * 2.0;
-    const progress = (stayMin - 10) / (180 - 10);
-    return FOG_RADIUS_M * (1.0 + progress);
+// 10분이면 안개 반경, 하루 이상이면 그 세 배 (로그 눈금)
+function getPlaceRadiusMeters(place) {
+    const minutes  = place.totalDuration / 60000;
+    const progress = Math.log(Math.max(minutes, 10) / 10) / Math.log(24 * 60 / 10);
+    return FOG_RADIUS_M * (1 + 2 * Math.min(1, progress));
+}
+
+// ── 밀도 지도 ─────────────────────────────────────
+// 오래, 자주 있던 곳일수록 뜨겁게. 점마다 머문 시간(분)과 찍힌 횟수를 더해 무게로 삼고,
+// 흑백 캔버스에 반경만큼 번지는 원을 겹쳐 찍은 뒤 진하기를 색으로 바꾼다.
+// 반경은 화면 픽셀이라 축소해도 분포가 보이고, 세기는 몇 분이면 가장 뜨거워질지를 정한다.
+const HEATMAP_KEY          = "giloa-heatmap";
+const HEAT_RADIUS_RANGE    = [10, 60];
+const HEAT_INTENSITY_RANGE = [1, 10];
+const HEAT_SATURATION_MIN  = 60;   // 세기 1일 때 이만큼(분) 있어야 가장 진해진다
+const HEAT_GRADIENT = [
+    [0.0, "#0000ff"],
+    [0.2, "#2c7bff"],
+    [0.4, "#00e5ff"],
+    [0.6, "#6aff3d"],
+    [0.8, "#ffe23d"],
+    [1.0, "#ff3b30"]
+];
+
+let heatmap      = { enabled: false, radius: 25, intensity: 5 };
+let heatStamp    = null;
+let heatPalette  = null;
+const heatShadow = document.createElement("canvas");
+
+function renderHeatmap(view) {
+    const w = heatCanvas.width, h = heatCanvas.height;
+    heatCtx.clearRect(0, 0, w, h);
+    if (!heatmap.enabled || view.indices.length === 0) return;
+
+    const now      = getViewTime();
+    const filtered = isTimeFilterActive();
+    const stamp    = getHeatStamp(heatmap.radius);
+    const scale    = heatmap.intensity / HEAT_SATURATION_MIN;
+
+    heatShadow.width  = w;
+    heatShadow.height = h;
+    const shadowCtx = heatShadow.getContext("2d");
+
+    view.indices.forEach(i => {
+        const point = view.points[i];
+        if (!isModeVisible(point) || point.startTime > now) return;
+        if (filtered && !matchesTimeFilter(point.startTime)) return;
+
+        const pos = map.latLngToContainerPoint([point.lat, point.lng]);
+        if (pos.x < -stamp.width || pos.y < -stamp.height || pos.x > w + stamp.width || pos.y > h + stamp.height) return;
+
+        // 축소 단계의 점은 합친 원래 점들의 무게를 들고 있다
+        shadowCtx.globalAlpha = Math.min(1, (point.heat ?? getHeatWeight(point)) * scale);
+        shadowCtx.drawImage(stamp, pos.x - stamp.width / 2, pos.y - stamp.height / 2);
+    });
+
+    // 쌓인 진하기(알파)를 팔레트 색으로 바꾼다
+    const image   = shadowCtx.getImageData(0, 0, w, h);
+    const data    = image.data;
+    const palette = getHeatPalette();
+    for (let p = 3; p < data.length; p += 4) {
+        const a = data[p];
+        if (a === 0) continue;
+        data[p - 3] = palette[a * 4];
+        data[p - 2] = palette[a * 4 + 1];
+        data[p - 1] = palette[a * 4 + 2];
+        data[p]     = palette[a * 4 + 3];
+    }
+    heatCtx.putImageData(image, 0, 0);
+}
+
+// 머문 분 + 찍힌 횟수. 지나가기만 한 점은 1쯤, 한 시간 머문 점은 60이 넘는다
+function getHeatWeight(point) {
+    return (point.visits || 1) + Math.max(0, point.endTime - point.startTime) / 60000;
+}
+
+// 가운데가 진하고 가장자리로 갈수록 옅어지는 원 하나 (반경이 바뀔 때만 다시 만든다)
+function getHeatStamp(radius) {
+    if (heatStamp && heatStamp.radius === radius) return heatStamp.canvas;
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = radius * 2;
+    const ctx  = canvas.getContext("2d");
+    const grad = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    grad.addColorStop(0, "rgba(0, 0, 0, 1)");
+    grad.addColorStop(1, "rgba(0, 0, 0, 0)");
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, radius * 2, radius * 2);
+    heatStamp = { radius, canvas };
+    return canvas;
+}
+
+// 진하기 0~255에 대응하는 RGBA 256개. 진할수록 덜 투명하게 둔다
+function getHeatPalette() {
+    if (heatPalette) return heatPalette;
+    const canvas = document.createElement("canvas");
+    canvas.width = 256; canvas.height = 1;
+    const ctx  = canvas.getContext("2d");
+    const grad = ctx.createLinearGradient(0, 0, 256, 0);
+    HEAT_GRADIENT.forEach(([stop, color]) => grad.addColorStop(stop, color));
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, 256, 1);
+    const data = ctx.getImageData(0, 0, 256, 1).data;
+    for (let a = 0; a < 256; a++) data[a * 4 + 3] = Math.min(220, 60 + a);
+    heatPalette = data;
+    return heatPalette;
+}
+
+function toggleHeatmap() {
+    heatmap.enabled = !heatmap.enabled;
+    saveHeatmapSettings();
+    syncHeatmapUI();
+    scheduleRender();
+}
+
+function setHeatmapRadius(value) {
+    heatmap.radius = clampHeatSetting(value, HEAT_RADIUS_RANGE);
+    saveHeatmapSettings();
+    syncHeatmapUI();
+    scheduleRender();
+}
+
+function setHeatmapIntensity(value) {
+    heatmap.intensity = clampHeatSetting(value, HEAT_INTENSITY_RANGE);
+    saveHeatmapSettings();
+    syncHeatmapUI();
+    scheduleRender();
+}
+
+function clampHeatSetting(value, [min, max]) {
+    const n = Math.round(Number(value));
+    return isFinite(n) ? Math.min(max, Math.max(min, n)) : min;
+}
+
+function saveHeatmapSettings() {
+    localStorage.setItem(HEATMAP_KEY, JSON.stringify(heatmap));
+}
+
+function loadHeatmapSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HEATMAP_KEY) || "null");
+        if (!saved || typeof saved !== "object") return;
+        heatmap = {
+            enabled:   saved.enabled === true,
+            radius:    clampHeatSetting(saved.radius ?? heatmap.radius, HEAT_RADIUS_RANGE),
+            intensity: clampHeatSetting(saved.intensity ?? heatmap.intensity, HEAT_INTENSITY_RANGE)
+        };
+    } catch (e) { console.warn("밀도 지도 설정을 읽지 못했습니다", e); }
+}
+
+function syncHeatmapUI() {
+    const toggleBtn   = document.getElementById("heat-toggle-btn");
+    const toggleState = document.getElementById("heat-toggle-state");
+    const settings    = document.getElementById("heat-settings");
+    if (!toggleBtn) return;
+    toggleBtn.classList.toggle("on",  heatmap.enabled);
+    toggleBtn.classList.toggle("off", !heatmap.enabled);
+    if (toggleState) {
+        toggleState.textContent = heatmap.enabled ? "켜짐" : "꺼짐";
+        toggleState.classList.toggle("on",  heatmap.enabled);
+        toggleState.classList.toggle("off", !heatmap.enabled);
+    }
+    if (settings) settings.classList.toggle("show", heatmap.enabled);
+    document.getElementById("heat-radius").value    = heatmap.radius;
+    document.getElementById("heat-intensity").value = heatmap.intensity;
 }
 
 // ── HUD ───────────────────────────────────────────
@@ -251,6 +1043,7 @@ function syncRecordingUI() {
     recBtn.classList.toggle("recording", isRecording);
     recStatusBox.textContent = isRecording ? "기록 중" : "대기 중";
     recStatusBox.classList.toggle("recording", isRecording);
+    recStatusBox.classList.remove("save-error");
 }
 
 function syncFogButton() {
@@ -266,6 +1059,19 @@ function syncFogButton() {
     }
 }
 
+function syncRoadMatchButton() {
+    const toggleBtn   = document.getElementById("road-toggle-btn");
+    const toggleState = document.getElementById("road-toggle-state");
+    if (!toggleBtn) return;
+    toggleBtn.classList.toggle("on",  isRoadMatchEnabled);
+    toggleBtn.classList.toggle("off", !isRoadMatchEnabled);
+    if (toggleState) {
+        toggleState.textContent = isRoadMatchEnabled ? "켜짐" : "꺼짐";
+        toggleState.classList.toggle("on",  isRoadMatchEnabled);
+        toggleState.classList.toggle("off", !isRoadMatchEnabled);
+    }
+}
+
 function toggleHelp() {
     document.getElementById("help-popup").classList.toggle("show");
 }
@@ -275,6 +1081,7 @@ function resetRecordingState() {
     isRecording = false;
     syncRecordingUI();
     stopTracking();
+    finishSession();
 }
 
 function toggleRecording() {
@@ -282,11 +1089,15 @@ function toggleRecording() {
         isRecording = false;
         syncRecordingUI();
         stopTracking();
+        finishSession();
         compactPathData();
         scheduleSave();
         return;
     }
     isRecording = true;
+    startSession();
+    resetKalman();
+    resetRoadMatch();
     syncRecordingUI();
     startTracking();
 }
@@ -298,261 +1109,615 @@ function toggleFog() {
     scheduleRender();
 }
 
-// ── GPS ───────────────────────────────────────────
-function startTracking() {
-    if (!navigator.geolocation) {
-        alert("이 브라우저는 위치 추적을 지원하지 않습니다.");
-        resetRecordingState(); return;
-    }
-    if (!window.isSecureContext &&
-        location.hostname !== "localhost" &&
-        location.hostname !== "127.0.0.1") {
-        alert("위치 추적은 HTTPS 또는 localhost에서만 동작합니다.");
-        resetRecordingState(); return;
+function toggleRoadMatch() {
+    if (!roadGraph && !isRoadMatchEnabled) {
+        alert("먼저 '도로 데이터 불러오기'로 OSM 파일(.pbf 또는 .geojson)을 불러오세요.");
+        return;
     }
-    watchId = navigator.geolocation.watchPosition(
-        handlePosition,
-        handleLocationError,
-        { enableHighAccuracy: true, maximumAge: 3000, timeout: 15000 }
-    );
+    isRoadMatchEnabled = !isRoadMatchEnabled;
+    localStorage.setItem(ROAD_MATCH_ENABLED_KEY, String(isRoadMatchEnabled));
+    resetRoadMatch();
+    syncRoadMatchButton();
 }
 
-function stopTracking() {
-    if (watchId !== null) {
-        navigator.geolocation.clearWatch(watchId);
-        watchId = null;
-    }
+// ── 기록 세션 ─────────────────────────────────────
+// 기록 버튼을 누를 때마다 세션 하나. 경로 점은 sessionId로 세션에 속하고,
+// 세션이 다른 두 점 사이에는 선을 긋지 않는다 (압축·저장 후에도 sessionId가 남는다).
+function startSession() {
+    const now = Date.now();
+    currentSession = {
+        id: nextSessionId++, name: "",
+        startTime: now, endTime: now, distance: 0, settledUntil: 0, staysDetected: false
+    };
+    sessions.push(currentSession);
+    updateSessionList();
 }
 
-function handlePosition(position) {
-    const accuracy = Number(position.coords.accuracy) || Infinity;
-    const latlng   = L.latLng(position.coords.latitude, position.coords.longitude);
-    currentPos     = latlng;
-
-    if (!playerMarker) {
-        playerMarker = L.marker(latlng, {
-            icon: L.divIcon({ className: "player-marker", iconSize: [18, 18] })
-        }).addTo(map);
-        map.setView(latlng, 16);
+// 남은 이동의 수단을 확정한다. 점이 하나도 없는 세션은 남기지 않는다
+function finishSession() {
+    if (!currentSession) return;
+    const session = currentSession;
+    currentSession = null;
+    settleSession(session, true);
+    if (!pathCoordinates.some(p => p.sessionId === session.id)) {
+        sessions = sessions.filter(s => s !== session);
     } else {
-        playerMarker.setLatLng(latlng);
+        recordSessionStays(session);
     }
+    updateSessionList();
+    updatePlaceList();
+}
 
-    if (!isRecording) return;
+function isPathBreak(prev, point) {
+    return prev.sessionId !== point.sessionId ||
+           point.startTime - prev.endTime > PATH_SEGMENT_GAP_MS;
+}
 
-    if (accuracy > MAX_ACCURACY_M) {
-        recStatusBox.textContent = `GPS 약함 (${Math.round(accuracy)}m)`;
-        return;
-    }
+function getSessionName(session) {
+    if (session.name) return session.name;
+    return new Date(session.startTime).toLocaleDateString("ko-KR",
+        { month: "long", day: "numeric", weekday: "short" }) + " 기록";
+}
 
-    recStatusBox.textContent = "기록 중";
-    const now = Date.now();
+function renameSession(id) {
+    const session = sessions.find(s => s.id === id);
+    if (!session) return;
+    const input = prompt("이 기록의 이름을 입력하세요:", session.name || getSessionName(session));
+    if (input === null) return;
+    session.name = input.trim();
+    updateSessionList();
+    scheduleSave();
+}
 
-    if (pathCoordinates.length === 0) {
-        pathCoordinates.push(createPathPoint(latlng, now));
-        updateStats();
-        scheduleSave();
-        scheduleRender();
+function focusSession(id) {
+    const points = pathCoordinates.filter(p => p.sessionId === id);
+    if (points.length === 0) return;
+    map.fitBounds(L.latLngBounds(points.map(p => [p.lat, p.lng])), { padding: [40, 40], maxZoom: 17 });
+    toggleSidebar(false);
+}
+
+function updateSessionList() {
+    const container = document.getElementById("session-list-container");
+    if (!container) return;
+
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="empty-message">아직 이동 기록이 없습니다.</p>';
         return;
     }
 
-    const last          = pathCoordinates[pathCoordinates.length - 1];
-    const dist          = distanceToPoint(latlng, last);
-    const stayThreshold = getDynamicStayThreshold(accuracy);
+    const pointsBySession = new Map();
+    pathCoordinates.forEach(p => {
+        if (!pointsBySession.has(p.sessionId)) pointsBySession.set(p.sessionId, []);
+        pointsBySession.get(p.sessionId).push(p);
+    });
 
-    if (dist <= stayThreshold) {
-        last.endTime = now;
-        last.visits  = (last.visits || 1) + 1;
-        const sf = 0.3;
-        last.lat += (latlng.lat - last.lat) * sf;
-        last.lng += (latlng.lng - last.lng) * sf;
-    } else {
-        totalDistance += dist;
-        pathCoordinates.push(createPathPoint(latlng, now));
-        if (pathCoordinates.length > MAX_PATH_POINTS) compactPathData();
-    }
+    container.innerHTML = "";
+    [...sessions].sort((a, b) => b.startTime - a.startTime).slice(0, SESSION_LIST_LIMIT).forEach(session => {
+        const item = document.createElement("div");
+        item.className = "memory-item";
 
-    updateStats();
-    scheduleSave();
-    scheduleRender();
+        const name = document.createElement("span");
+        name.className   = "item-name";
+        name.textContent = getSessionName(session) +
+            (session === currentSession ? " (기록 중)" : "");
+
+        const formatTime = t => new Date(t).toLocaleTimeString("ko-KR",
+            { hour: "2-digit", minute: "2-digit" });
+        const date = document.createElement("span");
+        date.className   = "item-date";
+        date.textContent = `${new Date(session.startTime).toLocaleDateString("ko-KR")} ` +
+            `${formatTime(session.startTime)}~${formatTime(session.endTime)} · ` +
+            `${(session.distance / 1000).toFixed(2)}km`;
+
+        const modes = document.createElement("span");
+        modes.className   = "item-date";
+        modes.textContent = getModeSegments(pointsBySession.get(session.id) || [])
+            .map(segment => TRANSPORT_MODE_LABELS[segment.mode])
+            .join(" → ");
+
+        const actions = document.createElement("div");
+        actions.className = "memory-actions";
+
+        const moveBtn = document.createElement("button");
+        moveBtn.className   = "memory-action-btn move";
+        moveBtn.textContent = "이동";
+        moveBtn.addEventListener("click", e => {
+            e.stopPropagation();
+            focusSession(session.id);
+        });
+
+        const renameBtn = document.createElement("button");
+        renameBtn.className   = "memory-action-btn cancel";
+        renameBtn.textContent = "이름";
+        renameBtn.addEventListener("click", e => {
+            e.stopPropagation();
+            renameSession(session.id);
+        });
+
+        actions.appendChild(moveBtn);
+        actions.appendChild(renameBtn);
+        item.appendChild(name);
+        item.appendChild(date);
+        if (modes.textContent) item.appendChild(modes);
+        item.appendChild(actions);
+
+        item.addEventListener("click", () => focusSession(session.id));
+
+        container.appendChild(item);
+    });
 }
 
-function handleLocationError(err) {
-    const messages = {
-        1: "위치 권한이 거부되었습니다.",
-        2: "현재 위치를 확인할 수 없습니다.",
-        3: "위치 요청 시간이 초과되었습니다."
-    };
-    alert(messages[err.code] || "위치 정보를 가져오지 못했습니다.");
-    resetRecordingState();
+// 세션 정보가 없던 경로를 시간 간격으로 나눠 세션을 만든다 (입력은 바꾸지 않는다)
+function deriveSessions(points) {
+    const result   = [];
+    const assigned = [];
+    let session = null, prev = null;
+
+    [...points].sort((a, b) => a.startTime - b.startTime).forEach(p => {
+        if (!session || p.startTime - prev.endTime > PATH_SEGMENT_GAP_MS) {
+            session = {
+                id: result.length + 1, name: "",
+                startTime: p.startTime, endTime: p.endTime, distance: 0,
+                settledUntil: 0, staysDetected: false
+            };
+            result.push(session);
+        } else {
+            session.distance += L.latLng(p.lat, p.lng).distanceTo([prev.lat, prev.lng]);
+        }
+        session.endTime = Math.max(session.endTime, p.endTime);
+        assigned.push({ ...p, sessionId: session.id });
+        prev = p;
+    });
+
+    return { pathCoordinates: assigned, sessions: result };
 }
 
-function createPathPoint(latlng, timestamp) {
-    return {
-        lat: latlng.lat, lng: latlng.lng,
-        startTime: timestamp, endTime: timestamp, visits: 1
-    };
+// ── 이동 수단 구분 ────────────────────────────────
+// 속도·가속도·멈춤 패턴으로 세션의 구간마다 걷기/자전거/차량/기차·지하철을 매긴다.
+// 점 i의 mode는 (i-1 → i) 이동의 수단이고, 세션의 첫 점은 다음 이동을 따른다.
+// 판정에 앞뒤 MODE_WINDOW_MS를 함께 보므로 MODE_SETTLE_MS가 지난 이동부터 확정해
+// 래스터·새로운 길·수단별 거리에 한 번씩만 넣는다. 확정된 점의 수단은 다시 바꾸지 않는다.
+const TRANSPORT_MODES       = ["walk", "bike", "vehicle", "train"];
+const TRANSPORT_MODE_LABELS = { walk: "걷기", bike: "자전거", vehicle: "차량", train: "기차·지하철" };
+const MODE_FILTER_KEY       = "giloa-mode-filter";
+const MODE_WINDOW_MS        = 90 * 1000;
+const MODE_MIN_SEGMENT_MS   = 2 * 60 * 1000;
+const MODE_SETTLE_MS        = 5 * 60 * 1000;
+const MODE_SPEED_SAMPLE_MS  = 30 * 1000;     // 점 간격이 이보다 짧을 때만 보고된 speed를 쓴다
+const WALK_MAX_SPEED        = 2.5;           // m/s (9km/h)
+const BIKE_MAX_SPEED        = 7;             // m/s (25km/h)
+const RAIL_MIN_SPEED        = 33;            // m/s (120km/h), 도로에서는 드문 속도
+const STOP_SPEED            = 0.5;
+const MODE_STAY_MS          = 20 * 1000;     // 한 점에 이보다 오래 머물렀을 때만 멈춘 것으로 본다
+const BUS_ACCEL             = 1.0;           // m/s², 자전거 속도라도 급가감속과 정차가 잦으면 버스
+const BUS_STOP_RATIO        = 0.2;
+const UNDERGROUND_GAP_MS    = 2 * 60 * 1000; // 신호 없이 이만큼 지나 멀리서 나타나면 지하철
+const UNDERGROUND_SPEED     = 5;
+
+let modeFilter    = new Set(TRANSPORT_MODES);
+let modeDistances = {};
+
+// 같은 세션의 점 목록(시간순)을 받아 점마다 수단을 돌려준다
+function classifyTransportModes(points) {
+    const steps = points.map((p, i) => {
+        if (i === 0 || isPathBreak(points[i - 1], p)) return null;
+        // 짧은 머묾은 이동 중 제자리 판정(MIN_MOVE_M 이내)에 묶인 것이라 출발 시각부터 잰다
+        const prev  = points[i - 1];
+        const from  = getStayDuration(prev) >= MODE_STAY_MS ? prev.endTime : prev.startTime;
+        const dt    = Math.max(1000, p.startTime - from);
+        const speed = L.latLng(p.lat, p.lng).distanceTo([prev.lat, prev.lng]) / (dt / 1000);
+        return {
+            time: p.startTime, dt,
+            speed: isFinite(p.speed) && dt <= MODE_SPEED_SAMPLE_MS ? p.speed : speed,
+            underground: dt >= UNDERGROUND_GAP_MS && speed >= UNDERGROUND_SPEED
+        };
+    });
+    // 오래 머문 점에서 출발했으면 멈춰 있다 가속한 것으로 본다
+    steps.forEach((step, i) => {
+        if (!step) return;
+        const prev = steps[i - 1];
+        if (getStayDuration(points[i - 1]) >= MODE_STAY_MS) step.accel = step.speed / (step.dt / 1000);
+        else step.accel = prev ? Math.abs(step.speed - prev.speed) / (step.dt / 1000) : 0;
+    });
+
+    const labels = steps.map((step, i) => {
+        if (!step) return null;
+        const nearby = [i];
+        for (let j = i - 1; steps[j] && step.time - steps[j].time <= MODE_WINDOW_MS; j--) nearby.push(j);
+        for (let j = i + 1; steps[j] && steps[j].time - step.time <= MODE_WINDOW_MS; j++) nearby.push(j);
+
+        // 중앙값을 써야 앞뒤 다른 수단의 속도가 구간 경계를 넘어 번지지 않는다
+        const speeds = nearby.map(j => steps[j].speed).sort((a, b) => a - b);
+        const speed  = speeds[Math.floor((speeds.length - 1) / 2)];
+        const accel  = Math.max(...nearby.map(j => steps[j].accel));
+        let moving = 0, stopped = 0;
+        nearby.forEach(j => {
+            if (steps[j].speed < STOP_SPEED) stopped += steps[j].dt;
+            else moving += steps[j].dt;
+            if (getStayDuration(points[j]) >= MODE_STAY_MS) stopped += getStayDuration(points[j]);
+        });
+
+        if (step.underground || speed >= RAIL_MIN_SPEED) return "train";
+        if (speed <= WALK_MAX_SPEED) return "walk";
+        if (speed <= BIKE_MAX_SPEED) {
+            return accel >= BUS_ACCEL && stopped / (moving + stopped) >= BUS_STOP_RATIO ? "vehicle" : "bike";
+        }
+        return "vehicle";
+    });
+
+    // 판정이 없는 첫 점·끊긴 곳은 바로 앞(없으면 바로 뒤) 판정을 따른다
+    for (let i = 1; i < labels.length; i++) labels[i] = labels[i] || labels[i - 1];
+    for (let i = labels.length - 2; i >= 0; i--) labels[i] = labels[i] || labels[i + 1];
+
+    // MODE_MIN_SEGMENT_MS보다 짧은 구간은 더 긴 이웃 구간에 합친다
+    let runs = [];
+    labels.forEach((mode, i) => {
+        const duration = (steps[i] ? steps[i].dt : 0) +
+            (getStayDuration(points[i]) >= MODE_STAY_MS ? getStayDuration(points[i]) : 0);
+        const last = runs[runs.length - 1];
+        if (last && last.mode === mode) { last.to = i; last.duration += duration; }
+        else runs.push({ mode: mode || TRANSPORT_MODES[0], from: i, to: i, duration });
+    });
+    while (runs.length > 1) {
+        let k = -1;
+        runs.forEach((run, i) => {
+            if (run.duration < MODE_MIN_SEGMENT_MS && (k < 0 || run.duration < runs[k].duration)) k = i;
+        });
+        if (k < 0) break;
+
+        const prev = runs[k - 1], next = runs[k + 1];
+        const into = !next || (prev && prev.duration >= next.duration) ? prev : next;
+        into.from      = Math.min(into.from, runs[k].from);
+        into.to        = Math.max(into.to, runs[k].to);
+        into.duration += runs[k].duration;
+        runs.splice(k, 1);
+        runs = runs.reduce((merged, run) => {
+            const last = merged[merged.length - 1];
+            if (last && last.mode === run.mode) { last.to = run.to; last.duration += run.duration; }
+            else merged.push(run);
+            return merged;
+        }, []);
+    }
+
+    const modes = [];
+    runs.forEach(run => { for (let i = run.from; i <= run.to; i++) modes[i] = run.mode; });
+    return modes;
 }
 
-function distanceToPoint(latlng, point) {
-    return latlng.distanceTo([point.lat, point.lng]);
+// 세션에서 아직 확정되지 않은 점에 수단을 다시 매기고, MODE_SETTLE_MS가 지난 이동(force면 전부)을
+// 확정해 래스터·새로운 길·수단별 거리에 넣는다
+function settleSession(session, force) {
+    const points = pathCoordinates
+        .filter(p => p.sessionId === session.id)
+        .sort((a, b) => a.startTime - b.startTime);
+    const from = points.findIndex(p => p.startTime > session.settledUntil);
+    if (from < 0) return;
+
+    // 확정된 앞부분은 판정 범위만큼만 함께 본다
+    let start = from;
+    while (start > 0 &&
+           points[start - 1].startTime >= session.settledUntil - MODE_WINDOW_MS - MODE_MIN_SEGMENT_MS) {
+        start--;
+    }
+    if (start === from && start > 0) start--;
+    const tail  = points.slice(start);
+    const modes = classifyTransportModes(tail);
+    const settleBefore = force ? Infinity : Date.now() - MODE_SETTLE_MS;
+
+    for (let i = from - start; i < tail.length; i++) {
+        const point = tail[i];
+        if (point.mode !== modes[i]) {
+            point.mode = modes[i];
+            markPathChanged();
+        }
+        if (point.startTime > settleBefore) continue;
+
+        const prev = tail[i - 1];
+        if (!prev) {
+            stampExploredPoint(point);
+            recordNewGroundPath([point]);
+        } else {
+            stampExploredSegment(prev, point);
+            recordNewGround(prev, point);
+            if (!isPathBreak(prev, point)) {
+                modeDistances[point.mode] = (modeDistances[point.mode] || 0) +
+                    L.latLng(point.lat, point.lng).distanceTo([prev.lat, prev.lng]);
+            }
+        }
+        session.settledUntil = point.startTime;
+    }
 }
 
-function getDynamicStayThreshold(accuracy) {
-    return Math.max(MIN_MOVE_M, Math.min(MAX_STAY_RADIUS_M, accuracy * STAY_ACCURACY_FACTOR));
+// 저장된 경로 전체에 수단을 매긴다 (입력은 바꾸지 않는다). 수단 구분 전 기록을 옮길 때 쓴다
+function assignTransportModes(points, sessionList) {
+    const result  = points.map(p => ({ ...p }));
+    const groups  = new Map();
+    const settled = new Map();
+    const distances = {};
+
+    result.forEach(p => {
+        if (!groups.has(p.sessionId)) groups.set(p.sessionId, []);
+        groups.get(p.sessionId).push(p);
+    });
+    groups.forEach((group, sessionId) => {
+        group.sort((a, b) => a.startTime - b.startTime);
+        const modes = classifyTransportModes(group);
+        group.forEach((p, i) => {
+            p.mode = modes[i];
+            if (i === 0 || isPathBreak(group[i - 1], p)) return;
+            distances[p.mode] = (distances[p.mode] || 0) +
+                L.latLng(p.lat, p.lng).distanceTo([group[i - 1].lat, group[i - 1].lng]);
+        });
+        settled.set(sessionId, group[group.length - 1].startTime);
+    });
+
+    return {
+        pathCoordinates: result,
+        sessions: sessionList.map(s => ({ ...s, settledUntil: settled.get(s.id) || 0 })),
+        modeDistances: distances
+    };
 }
 
-// ── 오늘 거리 ─────────────────────────────────────
-function calcTodayDistance() {
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayStartMs = todayStart.getTime();
-    let dist = 0;
-    for (let i = 1; i < pathCoordinates.length; i++) {
-        if (pathCoordinates[i].startTime >= todayStartMs) {
-            const prev = pathCoordinates[i - 1];
-            const cur  = pathCoordinates[i];
-            dist += L.latLng(cur.lat, cur.lng).distanceTo([prev.lat, prev.lng]);
+// 연달아 같은 수단인 점들을 한 구간으로 묶는다
+function getModeSegments(points) {
+    const segments = [];
+    points.forEach((p, i) => {
+        if (!p.mode) return;
+        const prev = points[i - 1];
+        const dist = prev && !isPathBreak(prev, p)
+            ? L.latLng(p.lat, p.lng).distanceTo([prev.lat, prev.lng]) : 0;
+        const last = segments[segments.length - 1];
+        if (last && last.mode === p.mode) {
+            last.endTime   = p.endTime;
+            last.distance += dist;
+            return;
         }
-    }
-    return dist;
+        segments.push({ mode: p.mode, startTime: p.startTime, endTime: p.endTime, distance: dist });
+    });
+    return segments;
 }
 
-// ── 통계 업데이트 ─────────────────────────────────
-function updateStats() {
-    const todayDist = calcTodayDistance();
+function getStayDuration(p) {
+    return p.endTime - p.startTime;
+}
 
-    document.getElementById("dist-val").innerHTML =
-        `${(totalDistance / 1000).toFixed(2)}<span>km</span>`;
+function getPointMode(p) {
+    return p.mode || TRANSPORT_MODES[0];
+}
 
-    document.getElementById("today-dist-val").innerHTML =
-        `${(todayDist / 1000).toFixed(2)}<span>km</span>`;
+// 수단이 아직 없는 점(막 찍힌 점)은 항상 보여 준다
+function isModeVisible(p) {
+    return !p.mode || modeFilter.has(p.mode);
+}
 
-    document.getElementById("memory-count-val").innerHTML =
-        `${memories.length}<span>개</span>`;
+// 래스터를 새로 만들 때는 확정된 점만 찍는다 (나머지는 settleSession이 찍는다)
+function isPointSettled(p) {
+    const session = sessions.find(s => s.id === p.sessionId);
+    return !session || p.startTime <= session.settledUntil;
+}
 
-    // ✅ 사진 수
-    document.getElementById("photo-count-val").innerHTML =
-        `${photos.length}<span>개</span>`;
+// 모든 수단을 골랐으면 null
+function getSelectedModes() {
+    return modeFilter.size === TRANSPORT_MODES.length ? null : [...modeFilter];
 }
 
-// ── 경로 압축 ─────────────────────────────────────
-function compactPathData() {
-    if (pathCoordinates.length <= 1) return;
-    const merged = [];
-    for (const point of pathCoordinates) {
-        const last = merged[merged.length - 1];
-        if (!last) { merged.push({ ...point }); continue; }
-        const timeGap = point.startTime - last.endTime;
-        const dist    = L.latLng(point.lat, point.lng).distanceTo([last.lat, last.lng]);
-        if (dist <= MERGE_DISTANCE_M && timeGap <= MERGE_TIME_GAP_MS) {
-            const tv = (last.visits || 1) + (point.visits || 1);
-            last.lat     = ((last.lat * (last.visits || 1)) + (point.lat * (point.visits || 1))) / tv;
-            last.lng     = ((last.lng * (last.visits || 1)) + (point.lng * (point.visits || 1))) / tv;
-            last.endTime = Math.max(last.endTime, point.endTime);
-            last.visits  = tv;
-        } else {
-            merged.push({ ...point });
-        }
+// 적어도 한 수단은 남긴다
+function toggleModeFilter(mode) {
+    if (modeFilter.has(mode)) {
+        if (modeFilter.size === 1) return;
+        modeFilter.delete(mode);
+    } else {
+        modeFilter.add(mode);
     }
-    pathCoordinates = shrinkOldPoints(merged, MAX_PATH_POINTS);
+    localStorage.setItem(MODE_FILTER_KEY, JSON.stringify([...modeFilter]));
+    exploredTiles.forEach(tile => { tile.canvas = null; });
+    if (timeMachineRaster) timeMachineRaster.tiles.forEach(tile => { tile.canvas = null; });
+    exploration.setModes(getSelectedModes());
+    syncModeFilterUI();
+    updateStats();
+    scheduleRender();
 }
 
-function shrinkOldPoints(points, maxPoints) {
-    if (points.length <= maxPoints) return points;
-    const keepTail = Math.floor(maxPoints * 0.4);
-    const tail  = points.slice(-keepTail);
-    const head  = points.slice(0, points.length - keepTail);
-    const ratio = Math.ceil(head.length / (maxPoints - keepTail));
-    return [...head.filter((_, i) => i % ratio === 0), ...tail].slice(-maxPoints);
+function syncModeFilterUI() {
+    document.querySelectorAll(".mode-chip[data-mode]").forEach(chip => {
+        chip.classList.toggle("on", modeFilter.has(chip.dataset.mode));
+    });
 }
 
-// ── 기억 마킹 ─────────────────────────────────────
-function addMemory() {
-    if (!currentPos) { alert("위치 정보를 수신 중입니다."); return; }
-    const input = prompt("이 장소의 이름을 입력하세요:", "새로운 발견");
-    if (input === null) return;
+// ── 머문 곳·자주 가는 곳 ──────────────────────────
+// 세션이 끝날 때 stays.js로 머문 곳을 찾아 stays에 쌓는다. 경로 점은 솎아져도 머문 곳은 남는다.
+// 기록 중인 세션의 머문 곳은 저장하지 않고 그때그때 찾아 장소에 함께 묶는다.
+const stayDetector   = new StayDetector({ radius: STAY_RADIUS_M, minDuration: STAY_MIN_MS });
+const placeClusterer = new PlaceClusterer({ radius: PLACE_RADIUS_M });
+
+let stays       = [];
+let placesCache = null;
+let shownPlacesCache = null;
+
+function detectSessionStays(sessionId, points) {
+    const own = points
+        .filter(p => p.sessionId === sessionId)
+        .sort((a, b) => a.startTime - b.startTime);
+    return stayDetector.detect(own).map(stay => ({
+        ...stay, id: `${sessionId}-${stay.startTime}`, sessionId
+    }));
+}
 
-    const now  = new Date();
-    const data = {
-        id:         String(now.getTime()),
-        lat:        currentPos.lat,
-        lng:        currentPos.lng,
-        name:       escapeHtml(input.trim() || "기억의 지점"),
-        time:       now.getTime(),
-        dateString: now.toLocaleDateString("ko-KR",
-            { year: "numeric", month: "long", day: "numeric" }),
-        timeString: now.toLocaleTimeString("ko-KR",
-            { hour: "2-digit", minute: "2-digit" })
+function recordSessionStays(session) {
+    stays = stays
+        .filter(s => s.sessionId !== session.id)
+        .concat(detectSessionStays(session.id, pathCoordinates));
+    session.staysDetected = true;
+    invalidatePlaces();
+}
+
+// 머문 곳이 없던 기록에서 세션마다 머문 곳을 찾는다 (입력은 바꾸지 않는다)
+function deriveStays(points, sessionList) {
+    return {
+        stays: sessionList.flatMap(s => detectSessionStays(s.id, points)),
+        sessions: sessionList.map(s => ({ ...s, staysDetected: true }))
     };
+}
 
-    memories.push(data);
-    createMemoryMarker(data, true);
-    updateMemoryList();
-    updateStats();
-    scheduleSave();
+function invalidatePlaces() {
+    placesCache      = null;
+    shownPlacesCache = null;
 }
 
-function createMemoryMarker(data, openPopup = false) {
-    const marker = L.marker([data.lat, data.lng], {
-        pane: "memoryPane",
-        icon: L.divIcon({ className: "memory-marker", html: "★", iconSize: [28, 28] })
-    }).addTo(map);
+function getPlaces() {
+    if (placesCache) return placesCache;
+    const live = currentSession ? detectSessionStays(currentSession.id, pathCoordinates) : [];
+    placesCache = placeClusterer.cluster([...stays, ...live]);
+    return placesCache;
+}
 
-    const popupEl = document.createElement("div");
+// 지도에 그릴 장소. 지난 날의 지도에서는 그때까지 이미 머문 곳으로 잡혔을 머묾만
+// 그때까지 머문 시간으로 잘라 묶고, 기간 필터가 있으면 맞는 머묾만 묶는다
+function getShownPlaces() {
+    if (viewTime === null && !isTimeFilterActive()) return getPlaces();
+    if (shownPlacesCache) return shownPlacesCache;
+
+    const time = getViewTime();
+    const live = currentSession ? detectSessionStays(currentSession.id, pathCoordinates) : [];
+    const shown = [...stays, ...live]
+        .filter(s => s.startTime + STAY_MIN_MS <= time)
+        .filter(s => !isTimeFilterActive() || matchesTimeFilter(s.startTime))
+        .map(s => {
+            const endTime = Math.min(s.endTime, time);
+            return { ...s, endTime, duration: endTime - s.startTime };
+        });
+    shownPlacesCache = placeClusterer.cluster(shown);
+    return shownPlacesCache;
+}
 
-    const title = document.createElement("b");
-    title.textContent = data.name;
+// 집: 밤(HOME_NIGHT_*)에 가장 오래 머문 곳, 직장: 집이 아닌 곳 중 평일 낮(WORK_*)에 가장 오래 머문 곳.
+// 하루만 그랬던 곳은 고르지 않는다.
+const HOME_NIGHT_START_HOUR = 22;
+const HOME_NIGHT_END_HOUR   = 6;
+const WORK_START_HOUR       = 9;
+const WORK_END_HOUR         = 18;
+const PLACE_MIN_DAYS        = 2;
+const PLACE_MIN_VISITS      = 2;
+const PLACE_LIST_LIMIT      = 10;
+
+function inferHomeWork(places) {
+    let home = null, work = null, bestNight = 0, bestWork = 0;
+
+    places.forEach(place => {
+        const night = sumDailyOverlap(place.stays, HOME_NIGHT_START_HOUR, HOME_NIGHT_END_HOUR, () => true);
+        if (night.days.size >= PLACE_MIN_DAYS && night.ms > bestNight) {
+            home = place; bestNight = night.ms;
+        }
+    });
+    places.forEach(place => {
+        if (place === home) return;
+        const day = sumDailyOverlap(place.stays, WORK_START_HOUR, WORK_END_HOUR,
+            date => date.getDay() >= 1 && date.getDay() <= 5);
+        if (day.days.size >= PLACE_MIN_DAYS && day.ms > bestWork) {
+            work = place; bestWork = day.ms;
+        }
+    });
 
-    const info = document.createElement("small");
-    info.style.display = "block";
-    info.textContent   = `${data.dateString} ${data.timeString || ""}`;
+    return { home, work };
+}
 
-    const delBtn = document.createElement("button");
-    delBtn.className   = "popup-delete-btn";
-    delBtn.textContent = "삭제";
-    delBtn.addEventListener("click", () => deleteMemory(data.id));
+// 머문 시간 중 매일 fromHour~toHour(자정을 넘겨도 된다)에 걸친 시간과, 걸친 날 목록.
+// 밤은 시작한 날로 센다. isDayIncluded로 요일을 거른다
+function sumDailyOverlap(stayList, fromHour, toHour, isDayIncluded) {
+    let ms = 0;
+    const days = new Set();
+
+    stayList.forEach(stay => {
+        const day = new Date(stay.startTime);
+        day.setHours(0, 0, 0, 0);
+        // 자정을 넘는 구간이면 전날 밤부터 본다
+        if (toHour <= fromHour) day.setDate(day.getDate() - 1);
+
+        while (day.getTime() < stay.endTime) {
+            const from = new Date(day);
+            from.setHours(fromHour);
+            const to = new Date(day);
+            if (toHour <= fromHour) to.setDate(to.getDate() + 1);
+            to.setHours(toHour);
+
+            const overlap = Math.min(stay.endTime, to.getTime()) - Math.max(stay.startTime, from.getTime());
+            if (overlap > 0 && isDayIncluded(day)) {
+                ms += overlap;
+                days.add(day.toDateString());
+            }
+            day.setDate(day.getDate() + 1);
+        }
+    });
 
-    popupEl.appendChild(title);
-    popupEl.appendChild(document.createElement("br"));
-    popupEl.appendChild(info);
-    popupEl.appendChild(delBtn);
+    return { ms, days };
+}
 
-    marker.bindPopup(popupEl);
-    memoryMarkers.set(data.id, marker);
-    if (openPopup) marker.openPopup();
+// 장소 반경 안에 저장해 둔 기억 (있으면 그 이름으로 부른다)
+function findPlaceMemory(place) {
+    return memories.find(m => L.latLng(m.lat, m.lng).distanceTo([place.lat, place.lng]) <= PLACE_RADIUS_M);
 }
 
-function deleteMemory(id) {
-    memories = memories.filter(m => m.id !== id);
-    const marker = memoryMarkers.get(id);
-    if (marker) { map.removeLayer(marker); memoryMarkers.delete(id); }
-    updateMemoryList();
-    updateStats();
-    scheduleSave();
+function getPlaceLabel(place, roles) {
+    if (place === roles.home) return "집";
+    if (place === roles.work) return "직장";
+    return "자주 가는 곳";
 }
 
-function updateMemoryList() {
-    const container = document.getElementById("memory-list-container");
+// 한 번 누르면 장소 이름으로 바로 기억을 만든다
+function savePlaceAsMemory(place, label, roles) {
+    if (findPlaceMemory(place)) return;
+    createMemory(place, label,
+        place === roles.home ? "home" : place === roles.work ? "work" : DEFAULT_MEMORY_CATEGORY);
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}분`;
+    return `${Math.floor(minutes / 60)}시간 ${minutes % 60}분`;
+}
+
+function updatePlaceList() {
+    const container = document.getElementById("place-list-container");
     if (!container) return;
 
-    if (memories.length === 0) {
-        container.innerHTML = '<p class="empty-message">아직 기록이 없습니다.</p>';
+    // 두 번 이상 머문 곳과 집·직장만 보여 준다
+    const places = getPlaces();
+    const roles  = inferHomeWork(places);
+    const ranked = places
+        .filter(p => p.visitCount >= PLACE_MIN_VISITS || p === roles.home || p === roles.work)
+        .sort((a, b) =>
+        (b === roles.home) - (a === roles.home) ||
+        (b === roles.work) - (a === roles.work) ||
+        b.visitCount - a.visitCount ||
+        b.totalDuration - a.totalDuration);
+
+    if (ranked.length === 0) {
+        container.innerHTML = '<p class="empty-message">아직 자주 가는 곳이 없습니다.</p>';
         return;
     }
 
     container.innerHTML = "";
-    [...memories].reverse().forEach(memo => {
+    ranked.slice(0, PLACE_LIST_LIMIT).forEach(place => {
+        const label  = getPlaceLabel(place, roles);
+        const memory = findPlaceMemory(place);
+
         const item = document.createElement("div");
         item.className = "memory-item";
 
         const name = document.createElement("span");
         name.className   = "item-name";
-        name.textContent = "★ " + memo.name;
+        name.textContent = memory ? `${getMemoryCategory(memory).icon} ${memory.name}` : label;
+        if (memory && label !== "자주 가는 곳") {
+            const tag = document.createElement("span");
+            tag.className   = "place-tag";
+            tag.textContent = label;
+            name.appendChild(tag);
+        }
 
         const date = document.createElement("span");
         date.className   = "item-date";
-        date.textContent = `${memo.dateString} ${memo.timeString || ""}`;
+        date.textContent = `${place.visitCount}번 방문 · ${formatDuration(place.totalDuration)} · ` +
+            `마지막 ${new Date(place.lastVisit).toLocaleDateString("ko-KR")}`;
 
         const actions = document.createElement("div");
         actions.className = "memory-actions";
@@ -562,25 +1727,26 @@ function updateMemoryList() {
         moveBtn.textContent = "이동";
         moveBtn.addEventListener("click", e => {
             e.stopPropagation();
-            map.flyTo([memo.lat, memo.lng], 17);
+            map.flyTo([place.lat, place.lng], 17);
         });
 
-        const delBtn = document.createElement("button");
-        delBtn.className   = "memory-action-btn delete";
-        delBtn.textContent = "삭제";
-        delBtn.addEventListener("click", e => {
+        const saveBtn = document.createElement("button");
+        saveBtn.className   = "memory-action-btn cancel";
+        saveBtn.textContent = memory ? "저장됨" : "기억으로 저장";
+        saveBtn.disabled    = Boolean(memory);
+        saveBtn.addEventListener("click", e => {
             e.stopPropagation();
-            deleteMemory(memo.id);
+            savePlaceAsMemory(place, label, roles);
         });
 
         actions.appendChild(moveBtn);
-        actions.appendChild(delBtn);
+        actions.appendChild(saveBtn);
         item.appendChild(name);
         item.appendChild(date);
         item.appendChild(actions);
 
         item.addEventListener("click", () => {
-            map.flyTo([memo.lat, memo.lng], 17);
+            map.flyTo([place.lat, place.lng], 17);
             toggleSidebar(false);
         });
 
@@ -588,280 +1754,3915 @@ function updateMemoryList() {
     });
 }
 
-function toggleSidebar(forceOpen) {
-    const sidebar = document.getElementById("sidebar");
-    const overlay = document.getElementById("sidebar-overlay");
-    if (!sidebar || !overlay) return;
-    const willOpen = typeof forceOpen === "boolean"
-        ? forceOpen
-        : !sidebar.classList.contains("open");
-    sidebar.classList.toggle("open", willOpen);
-    overlay.classList.toggle("show", willOpen);
-}
-
-function centerMap() {
-    if (currentPos) map.panTo(currentPos);
+// ── GPS ───────────────────────────────────────────
+function startTracking() {
+    if (!navigator.geolocation) {
+        alert("이 브라우저는 위치 추적을 지원하지 않습니다.");
+        resetRecordingState(); return;
+    }
+    if (!window.isSecureContext &&
+        location.hostname !== "localhost" &&
+        location.hostname !== "127.0.0.1") {
+        alert("위치 추적은 HTTPS 또는 localhost에서만 동작합니다.");
+        resetRecordingState(); return;
+    }
+    watchId = navigator.geolocation.watchPosition(
+        handlePosition,
+        handleLocationError,
+        { enableHighAccuracy: true, maximumAge: 3000, timeout: 15000 }
+    );
 }
 
-// ── localStorage ──────────────────────────────────
-function scheduleSave() {
-    if (saveTimer !== null) clearTimeout(saveTimer);
-    saveTimer = setTimeout(() => {
-        saveTimer = null;
-        compactPathData();
-        persistState();
-    }, SAVE_DELAY_MS);
+function stopTracking() {
+    if (watchId !== null) {
+        navigator.geolocation.clearWatch(watchId);
+        watchId = null;
+    }
 }
 
+function handlePosition(position) {
+    const accuracy = Number(position.coords.accuracy) || Infinity;
+    const latlng   = L.latLng(position.coords.latitude, position.coords.longitude);
+    currentPos     = latlng;
+
+    if (!playerMarker) {
+        playerMarker = L.marker(latlng, {
+            icon: L.divIcon({ className: "player-marker", iconSize: [18, 18] })
+        }).addTo(map);
+        map.setView(latlng, 16);
+    } else {
+        playerMarker.setLatLng(latlng);
+    }
+
+    if (!isRecording) return;
+
+    if (accuracy > MAX_ACCURACY_M) {
+        recStatusBox.textContent = `GPS 약함 (${Math.round(accuracy)}m)`;
+        return;
+    }
+
+    recStatusBox.textContent = "기록 중";
+    const now = Date.now();
+    // 칼만 필터로 다듬고, 도로 데이터가 있으면 도로 위로 맞춘다
+    const corrected = matchToRoad(
+        filterPosition(latlng, accuracy, position.coords, position.timestamp || now),
+        accuracy
+    );
+
+    currentSession.endTime = now;
+    const last = pathCoordinates[pathCoordinates.length - 1];
+
+    // 세션의 첫 점은 이전 기록과 잇지 않는다
+    if (!last || last.sessionId !== currentSession.id) {
+        pathCoordinates.push(createPathPoint(corrected, now, position.coords.speed));
+        settleSession(currentSession, false);
+        invalidatePlaces();
+        updateSessionList();
+        updateStats();
+        scheduleSave();
+        scheduleRender();
+        return;
+    }
+
+    const dist          = distanceToPoint(corrected, last);
+    const stayThreshold = getDynamicStayThreshold(accuracy);
+
+    if (dist <= stayThreshold) {
+        last.endTime = now;
+        last.visits  = (last.visits || 1) + 1;
+        markPathChanged();
+    } else {
+        totalDistance += dist;
+        currentSession.distance += dist;
+        pathCoordinates.push(createPathPoint(corrected, now, position.coords.speed));
+        if (pathCoordinates.length > MAX_PATH_POINTS) compactPathData();
+    }
+    settleSession(currentSession, false);
+    invalidatePlaces();
+
+    // 장소 목록은 위치마다가 아니라 세션이 끝나거나 사이드바를 열 때 다시 그린다
+    updateSessionList();
+    updateStats();
+    scheduleSave();
+    scheduleRender();
+}
+
+function handleLocationError(err) {
+    const messages = {
+        1: "위치 권한이 거부되었습니다.",
+        2: "현재 위치를 확인할 수 없습니다.",
+        3: "위치 요청 시간이 초과되었습니다."
+    };
+    alert(messages[err.code] || "위치 정보를 가져오지 못했습니다.");
+    resetRecordingState();
+}
+
+// speed는 GPS가 알려 준 순간 속도(m/s), 없으면 남기지 않는다
+function createPathPoint(latlng, timestamp, speed) {
+    return {
+        lat: latlng.lat, lng: latlng.lng,
+        startTime: timestamp, endTime: timestamp, visits: 1,
+        sessionId: currentSession ? currentSession.id : undefined,
+        speed: typeof speed === "number" && isFinite(speed) ? speed : undefined
+    };
+}
+
+function distanceToPoint(latlng, point) {
+    return latlng.distanceTo([point.lat, point.lng]);
+}
+
+function getDynamicStayThreshold(accuracy) {
+    return Math.max(MIN_MOVE_M, Math.min(MAX_STAY_RADIUS_M, accuracy * STAY_ACCURACY_FACTOR));
+}
+
+// ── 위치 보정 (칼만 필터) ─────────────────────────
+// KalmanFilter(kalman.js)로 튀는 점을 눌러 경로와 거리에 들어가지 않게 한다.
+const kalman = new KalmanFilter();
+
+function resetKalman() {
+    kalman.reset();
+}
+
+function filterPosition(latlng, accuracy, coords, time) {
+    const filtered = kalman.update(latlng.lat, latlng.lng, accuracy, coords.speed, coords.heading, time);
+    return L.latLng(filtered.lat, filtered.lng);
+}
+
+// ── 도로 데이터 (OSM) ─────────────────────────────
+// 사용자가 준 OSM 추출본(PBF 또는 GeoJSON)에서 도로·보행로 선만 뽑아
+// 노드 좌표(Float64Array)와 간선(Uint32Array) 두 배열로 만들고 IndexedDB "roads"에 둔다.
+const ROAD_CELL_DEG = 0.001;
+const ROAD_EXCLUDED_HIGHWAYS = new Set([
+    "proposed", "construction", "abandoned", "razed", "platform", "raceway", "bus_guideway"
+]);
+const PBF_TEXT = new TextDecoder();
+
+let roadGraph = null;
+
+async function handleRoadImport(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    recStatusBox.textContent = "도로 데이터 읽는 중...";
+    try {
+        const buffer = await file.arrayBuffer();
+        const lines  = /\.(geo)?json$/i.test(file.name)
+            ? parseRoadGeoJson(JSON.parse(PBF_TEXT.decode(buffer)))
+            : await parseOsmPbf(buffer);
+
+        const graph = buildRoadGraph(lines);
+        if (graph.edges.length === 0) {
+            alert("파일에서 도로를 찾지 못했습니다.");
+            return;
+        }
+        graph.source     = file.name;
+        graph.importedAt = Date.now();
+
+        if (db) await saveRoadGraph(graph);
+        setRoadGraph(graph);
+        isRoadMatchEnabled = true;
+        localStorage.setItem(ROAD_MATCH_ENABLED_KEY, "true");
+        syncRoadMatchButton();
+
+        alert(`도로 데이터 불러오기 완료\n도로 구간 ${graph.edges.length / 2}개` +
+              (db ? "" : "\n(이 브라우저에서는 저장되지 않아 다시 열면 사라집니다)"));
+    } catch (err) {
+        console.error("도로 데이터 불러오기 실패", err);
+        alert("도로 데이터 파일을 읽을 수 없습니다.");
+    } finally {
+        syncRecordingUI();
+    }
+}
+
+// 선 목록 [[[lat, lng], ...], ...]. highway 속성이 없는 파일은 모든 선을 도로로 본다
+function parseRoadGeoJson(json) {
+    const features = json.type === "FeatureCollection" ? json.features || []
+                   : json.type === "Feature" ? [json] : [];
+    const lines = [];
+
+    features.forEach(f => {
+        const highway = f.properties && f.properties.highway;
+        if (highway && ROAD_EXCLUDED_HIGHWAYS.has(highway)) return;
+        const g = f.geometry;
+        if (!g) return;
+
+        const parts = g.type === "LineString"      ? [g.coordinates]
+                    : g.type === "MultiLineString" ? g.coordinates : [];
+        parts.forEach(coords => {
+            const line = coords
+                .filter(c => isFinite(c[0]) && isFinite(c[1]))
+                .map(c => [c[1], c[0]]);
+            if (line.length > 1) lines.push(line);
+        });
+    });
+    return lines;
+}
+
+// OSM PBF: [4바이트 길이][BlobHeader][Blob]의 반복.
+// 도시 단위 파일도 메모리에 다 올리지 않도록, 도로 way를 먼저 모으고 그 노드만 두 번째로 읽는다
+async function parseOsmPbf(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view  = new DataView(buffer);
+    const blobs = [];
+    let pos = 0;
+
+    while (pos + 4 <= bytes.length) {
+        const headerLen = view.getUint32(pos);
+        pos += 4;
+        let type = "", dataSize = 0;
+        readPbfMessage(bytes.subarray(pos, pos + headerLen), (field, value) => {
+            if (field === 1) type = PBF_TEXT.decode(value);
+            if (field === 3) dataSize = value;
+        });
+        pos += headerLen;
+        if (type === "OSMData") blobs.push(bytes.subarray(pos, pos + dataSize));
+        pos += dataSize;
+    }
+
+    const ways   = [];
+    const needed = new Set();
+    for (const blob of blobs) {
+        readOsmBlock(await inflateOsmBlob(blob), {
+            onWay(refs, tags) {
+                if (!tags.highway || ROAD_EXCLUDED_HIGHWAYS.has(tags.highway)) return;
+                ways.push(refs);
+                refs.forEach(id => needed.add(id));
+            }
+        });
+    }
+
+    const coords = new Map();
+    for (const blob of blobs) {
+        readOsmBlock(await inflateOsmBlob(blob), {
+            onNode(id, lat, lng) {
+                if (needed.has(id)) coords.set(id, [lat, lng]);
+            }
+        });
+    }
+
+    // 추출 범위 밖으로 잘린 노드에서는 선을 끊는다
+    const lines = [];
+    ways.forEach(refs => {
+        let line = [];
+        refs.forEach(id => {
+            const c = coords.get(id);
+            if (c) { line.push(c); return; }
+            if (line.length > 1) lines.push(line);
+            line = [];
+        });
+        if (line.length > 1) lines.push(line);
+    });
+    return lines;
+}
+
+async function inflateOsmBlob(bytes) {
+    let raw = null, zlib = null;
+    readPbfMessage(bytes, (field, value) => {
+        if (field === 1) raw  = value;
+        if (field === 3) zlib = value;
+    });
+    if (raw) return raw;
+    if (!zlib) throw new Error("지원하지 않는 PBF 압축 형식입니다");
+
+    const stream = new Blob([zlib]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// PrimitiveBlock 하나를 읽어 onWay(노드 id 목록, 태그) / onNode(id, lat, lng)를 부른다
+function readOsmBlock(bytes, { onWay, onNode }) {
+    const strings = [];
+    const groups  = [];
+    let granularity = 100, latOffset = 0, lonOffset = 0;
+
+    readPbfMessage(bytes, (field, value) => {
+        if (field === 1 && onWay) {
+            readPbfMessage(value, (f, s) => { if (f === 1) strings.push(PBF_TEXT.decode(s)); });
+        }
+        else if (field === 2)  groups.push(value);
+        else if (field === 17) granularity = value;
+        else if (field === 19) latOffset = value;
+        else if (field === 20) lonOffset = value;
+    });
+    const toDeg = (offset, value) => 1e-9 * (offset + granularity * value);
+
+    groups.forEach(group => readPbfMessage(group, (field, value) => {
+        if (field === 3 && onWay) {
+            const keys = [], vals = [], refs = [];
+            readPbfMessage(value, (f, v) => {
+                if (f === 2)      keys.push(...readPbfPacked(v));
+                else if (f === 3) vals.push(...readPbfPacked(v));
+                else if (f === 8) refs.push(...readPbfPacked(v));
+            });
+            const tags = {};
+            keys.forEach((k, i) => { tags[strings[k]] = strings[vals[i]]; });
+            let id = 0;
+            onWay(refs.map(delta => (id += pbfZigzag(delta))), tags);
+        } else if (field === 2 && onNode) {
+            // DenseNodes: id·lat·lon 모두 앞 값과의 차이로 저장된다
+            let ids = [], lats = [], lons = [];
+            readPbfMessage(value, (f, v) => {
+                if (f === 1)      ids  = readPbfPacked(v);
+                else if (f === 8) lats = readPbfPacked(v);
+                else if (f === 9) lons = readPbfPacked(v);
+            });
+            let id = 0, lat = 0, lon = 0;
+            for (let i = 0; i < ids.length; i++) {
+                id  += pbfZigzag(ids[i]);
+                lat += pbfZigzag(lats[i]);
+                lon += pbfZigzag(lons[i]);
+                onNode(id, toDeg(latOffset, lat), toDeg(lonOffset, lon));
+            }
+        } else if (field === 1 && onNode) {
+            let id = 0, lat = 0, lon = 0;
+            readPbfMessage(value, (f, v) => {
+                if (f === 1)      id  = pbfZigzag(v);
+                else if (f === 8) lat = pbfZigzag(v);
+                else if (f === 9) lon = pbfZigzag(v);
+            });
+            onNode(id, toDeg(latOffset, lat), toDeg(lonOffset, lon));
+        }
+    }));
+}
+
+// protobuf 필드마다 cb(번호, 값). varint는 Number, 길이 구분 필드는 Uint8Array로 넘긴다
+function readPbfMessage(bytes, cb) {
+    const reader = { bytes, pos: 0 };
+    while (reader.pos < bytes.length) {
+        const key   = readPbfVarint(reader);
+        const wire  = key % 8;
+        const field = Math.floor(key / 8);
+
+        if (wire === 0) cb(field, readPbfVarint(reader));
+        else if (wire === 2) {
+            const len = readPbfVarint(reader);
+            cb(field, bytes.subarray(reader.pos, reader.pos + len));
+            reader.pos += len;
+        }
+        else if (wire === 1) reader.pos += 8;
+        else if (wire === 5) reader.pos += 4;
+        else throw new Error(`알 수 없는 protobuf 형식 (${wire})`);
+    }
+}
+
+// 2^53을 넘는 값은 근사값이 되지만 좌표·id 차이에는 충분하다. 음수 int64는 부호를 되살린다
+function readPbfVarint(reader) {
+    let result = 0, mul = 1, b;
+    do {
+        b = reader.bytes[reader.pos++];
+        result += (b & 0x7f) * mul;
+        mul *= 128;
+    } while (b & 0x80);
+    return result >= 2 ** 63 ? result - 2 ** 64 : result;
+}
+
+function readPbfPacked(value) {
+    if (typeof value === "number") return [value];
+    const reader = { bytes: value, pos: 0 };
+    const list   = [];
+    while (reader.pos < value.length) list.push(readPbfVarint(reader));
+    return list;
+}
+
+function pbfZigzag(n) {
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+}
+
+// 같은 좌표(소수 7자리)는 같은 노드로 묶어 교차로가 이어지게 한다
+function buildRoadGraph(lines) {
+    const nodeIndex = new Map();
+    const nodes = [];
+    const edges = [];
+
+    const nodeOf = ([lat, lng]) => {
+        const key = `${lat.toFixed(7)},${lng.toFixed(7)}`;
+        let i = nodeIndex.get(key);
+        if (i === undefined) {
+            i = nodes.length / 2;
+            nodeIndex.set(key, i);
+            nodes.push(lat, lng);
+        }
+        return i;
+    };
+
+    lines.forEach(line => {
+        for (let k = 1; k < line.length; k++) {
+            const a = nodeOf(line[k - 1]), b = nodeOf(line[k]);
+            if (a !== b) edges.push(a, b);
+        }
+    });
+
+    return { nodes: Float64Array.from(nodes), edges: Uint32Array.from(edges) };
+}
+
+// 저장된 두 배열에서 인접 목록·간선 길이·격자 색인을 만든다
+function setRoadGraph(graph) {
+    const { nodes, edges } = graph;
+    const edgeCount = edges.length / 2;
+    const adjacency = Array.from({ length: nodes.length / 2 }, () => []);
+    const lengths   = new Float64Array(edgeCount);
+    const cells     = new Map();
+
+    for (let e = 0; e < edgeCount; e++) {
+        const a = edges[e * 2], b = edges[e * 2 + 1];
+        const aLat = nodes[a * 2], aLng = nodes[a * 2 + 1];
+        const bLat = nodes[b * 2], bLng = nodes[b * 2 + 1];
+
+        lengths[e] = L.latLng(aLat, aLng).distanceTo([bLat, bLng]);
+        adjacency[a].push(e);
+        adjacency[b].push(e);
+
+        const y0 = Math.floor(Math.min(aLat, bLat) / ROAD_CELL_DEG);
+        const y1 = Math.floor(Math.max(aLat, bLat) / ROAD_CELL_DEG);
+        const x0 = Math.floor(Math.min(aLng, bLng) / ROAD_CELL_DEG);
+        const x1 = Math.floor(Math.max(aLng, bLng) / ROAD_CELL_DEG);
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const key = `${y}_${x}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(e);
+            }
+        }
+    }
+
+    roadGraph = { ...graph, adjacency, lengths, cells };
+    resetRoadMatch();
+}
+
+async function saveRoadGraph(graph) {
+    const tx = db.transaction("roads", "readwrite");
+    tx.objectStore("roads").put(graph, "graph");
+    await idbTransactionDone(tx);
+}
+
+async function loadRoadGraph() {
+    if (!db) return;
+    const graph = await idbRequest(
+        db.transaction("roads", "readonly").objectStore("roads").get("graph")
+    );
+    if (graph) setRoadGraph(graph);
+}
+
+// ── 도로 맞춤 (HMM) ───────────────────────────────
+// 은닉 마르코프 모델 + 온라인 Viterbi (Newson & Krumm 방식).
+// 상태는 근처 도로 위 투영점, 방출 확률은 GPS 오차의 가우시안,
+// 전이 확률은 직선거리와 도로를 따라 간 거리의 차이에 대한 지수분포다.
+// 점이 올 때마다 지금까지 가장 그럴듯한 상태로 맞추고, 근처에 도로가 없으면 원래 위치를 둔다.
+const ROAD_MATCH_ENABLED_KEY = "giloa-road-match-enabled";
+const ROAD_SEARCH_RADIUS_M   = 35;
+const ROAD_MAX_CANDIDATES    = 6;
+const ROAD_GPS_SIGMA_M       = 5;
+const ROAD_TRANSITION_BETA_M = 10;
+const ROAD_ROUTE_SLACK_M     = 150;
+
+let isRoadMatchEnabled = false;
+let roadMatch = null;   // { fix: 직전 측정 위치, states: [{ candidate, score(로그 확률) }] }
+
+function resetRoadMatch() {
+    roadMatch = null;
+}
+
+function matchToRoad(latlng, accuracy) {
+    if (!isRoadMatchEnabled || !roadGraph) return latlng;
+
+    const candidates = findRoadCandidates(latlng, accuracy);
+    if (candidates.length === 0) {
+        roadMatch = null;
+        return latlng;
+    }
+
+    const sigma    = Math.max(accuracy, ROAD_GPS_SIGMA_M);
+    const emission = c => -0.5 * (c.dist / sigma) ** 2;
+    let states = null;
+
+    if (roadMatch) {
+        const straight = latlng.distanceTo(roadMatch.fix);
+        const bound    = straight * 2 + ROAD_ROUTE_SLACK_M;
+        const best     = candidates.map(() => -Infinity);
+
+        roadMatch.states.forEach(prev => {
+            const routes = roadRouteDistances(prev.candidate, candidates, bound);
+            candidates.forEach((c, j) => {
+                const score = prev.score - Math.abs(straight - routes[j]) / ROAD_TRANSITION_BETA_M;
+                if (score > best[j]) best[j] = score;
+            });
+        });
+
+        if (best.some(score => isFinite(score))) {
+            states = candidates
+                .map((candidate, j) => ({ candidate, score: best[j] + emission(candidate) }))
+                .filter(s => isFinite(s.score));
+        }
+    }
+
+    // 첫 점이거나 이전 상태에서 도로로 닿을 수 없으면 여기서 새로 시작한다
+    if (!states) states = candidates.map(candidate => ({ candidate, score: emission(candidate) }));
+
+    const top = states.reduce((a, b) => (b.score > a.score ? b : a));
+    states.forEach(s => { s.score -= top.score; });
+    roadMatch = { fix: latlng, states };
+
+    return L.latLng(top.candidate.lat, top.candidate.lng);
+}
+
+function findRoadCandidates(latlng, accuracy) {
+    const radius = Math.min(ROAD_SEARCH_RADIUS_M * 2, Math.max(ROAD_SEARCH_RADIUS_M, accuracy * 2));
+    const cosLat = Math.cos(latlng.lat * Math.PI / 180);
+    const dLat   = radius / METERS_PER_DEG;
+    const dLng   = radius / (METERS_PER_DEG * cosLat);
+
+    const y0 = Math.floor((latlng.lat - dLat) / ROAD_CELL_DEG), y1 = Math.floor((latlng.lat + dLat) / ROAD_CELL_DEG);
+    const x0 = Math.floor((latlng.lng - dLng) / ROAD_CELL_DEG), x1 = Math.floor((latlng.lng + dLng) / ROAD_CELL_DEG);
+
+    const seen  = new Set();
+    const found = [];
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            (roadGraph.cells.get(`${y}_${x}`) || []).forEach(edge => {
+                if (seen.has(edge)) return;
+                seen.add(edge);
+                const c = projectOntoRoadEdge(edge, latlng, cosLat);
+                if (c.dist <= radius) found.push(c);
+            });
+        }
+    }
+    return found.sort((a, b) => a.dist - b.dist).slice(0, ROAD_MAX_CANDIDATES);
+}
+
+// 간선 위로 수직 투영. t는 간선 시작 노드에서 끝 노드 쪽으로의 비율(0~1)
+function projectOntoRoadEdge(edge, latlng, cosLat) {
+    const { nodes, edges } = roadGraph;
+    const a = edges[edge * 2], b = edges[edge * 2 + 1];
+    const toX = lng => (lng - latlng.lng) * cosLat * METERS_PER_DEG;
+    const toY = lat => (lat - latlng.lat) * METERS_PER_DEG;
+
+    const ax = toX(nodes[a * 2 + 1]), ay = toY(nodes[a * 2]);
+    const dx = toX(nodes[b * 2 + 1]) - ax, dy = toY(nodes[b * 2]) - ay;
+    const len2 = dx * dx + dy * dy;
+    const t    = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const px   = ax + dx * t, py = ay + dy * t;
+
+    return {
+        edge, t,
+        lat:  latlng.lat + py / METERS_PER_DEG,
+        lng:  latlng.lng + px / (cosLat * METERS_PER_DEG),
+        dist: Math.hypot(px, py)
+    };
+}
+
+// from에서 각 후보까지 도로를 따라 간 거리 (bound보다 멀면 Infinity).
+// 걸어 다니는 기록이므로 일방통행은 따지지 않는다
+function roadRouteDistances(from, targets, bound) {
+    const { edges, adjacency, lengths } = roadGraph;
+    const dist   = new Map();
+    const heap   = [];
+    const distOf = node => (dist.has(node) ? dist.get(node) : Infinity);
+    const visit  = (node, d) => {
+        if (d > bound || d >= distOf(node)) return;
+        dist.set(node, d);
+        roadHeapPush(heap, [d, node]);
+    };
+
+    visit(edges[from.edge * 2],     from.t * lengths[from.edge]);
+    visit(edges[from.edge * 2 + 1], (1 - from.t) * lengths[from.edge]);
+
+    while (heap.length > 0) {
+        const [d, node] = roadHeapPop(heap);
+        if (d > distOf(node)) continue;
+        adjacency[node].forEach(e => {
+            const next = edges[e * 2] === node ? edges[e * 2 + 1] : edges[e * 2];
+            visit(next, d + lengths[e]);
+        });
+    }
+
+    return targets.map(c => {
+        const len  = lengths[c.edge];
+        const same = c.edge === from.edge ? Math.abs(c.t - from.t) * len : Infinity;
+        return Math.min(
+            same,
+            distOf(edges[c.edge * 2])     + c.t * len,
+            distOf(edges[c.edge * 2 + 1]) + (1 - c.t) * len
+        );
+    });
+}
+
+// [거리, 노드] 최소 힙
+function roadHeapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function roadHeapPop(heap) {
+    const top  = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const l = i * 2 + 1, r = l + 1;
+            let min = i;
+            if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+            if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+            if (min === i) break;
+            [heap[min], heap[i]] = [heap[i], heap[min]];
+            i = min;
+        }
+    }
+    return top;
+}
+
+// ── 오늘 거리 ─────────────────────────────────────
+function calcTodayDistance() {
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const todayStartMs = todayStart.getTime();
+    const filtered = isStatsFiltered();
+    return sumPathDistance(p =>
+        p.startTime >= todayStartMs && (!filtered || matchesTimeFilter(p.startTime)));
+}
+
+// include를 만족하는 점으로 끝나는 이동만 더한다 (끊긴 곳과 고르지 않은 수단은 뺀다)
+function sumPathDistance(include) {
+    let dist = 0;
+    for (let i = 1; i < pathCoordinates.length; i++) {
+        const prev = pathCoordinates[i - 1];
+        const cur  = pathCoordinates[i];
+        if (!include(cur) || isPathBreak(prev, cur) || !isModeVisible(cur)) continue;
+        dist += L.latLng(cur.lat, cur.lng).distanceTo([prev.lat, prev.lng]);
+    }
+    return dist;
+}
+
+// 고른 수단으로 이동한 전체 거리. 모두 고르면 수단 구분 전 기록까지 담긴 totalDistance를 쓴다.
+// 기간 필터를 통계에 적용하면 남아 있는 경로 점으로 센다 (솎아진 옛 구간은 조금 짧게 나온다)
+function calcFilteredTotalDistance() {
+    if (isStatsFiltered()) return sumPathDistance(p => matchesTimeFilter(p.startTime));
+    if (!getSelectedModes()) return totalDistance;
+    let dist = 0;
+    modeFilter.forEach(mode => { dist += modeDistances[mode] || 0; });
+
+    // 아직 확정되지 않은 현재 세션의 최근 이동
+    if (currentSession) {
+        const points = pathCoordinates.filter(p => p.sessionId === currentSession.id);
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1], cur = points[i];
+            if (cur.startTime <= currentSession.settledUntil ||
+                isPathBreak(prev, cur) || !isModeVisible(cur)) continue;
+            dist += L.latLng(cur.lat, cur.lng).distanceTo([prev.lat, prev.lng]);
+        }
+    }
+    return dist;
+}
+
+// ── 통계 업데이트 ─────────────────────────────────
+function updateStats() {
+    const todayDist = calcTodayDistance();
+
+    document.getElementById("dist-val").innerHTML =
+        `${(calcFilteredTotalDistance() / 1000).toFixed(2)}<span>km</span>`;
+
+    document.getElementById("today-dist-val").innerHTML =
+        `${(todayDist / 1000).toFixed(2)}<span>km</span>`;
+
+    const explored = exploration.getStats(Date.now(), isStatsFiltered() ? matchesDayFilter : null);
+    document.getElementById("today-new-val").innerHTML =
+        `${(explored.todayNew / 1000).toFixed(2)}<span>km</span>`;
+    document.getElementById("week-new-val").innerHTML =
+        `${(explored.weekNew / 1000).toFixed(2)}<span>km</span>`;
+    document.getElementById("unique-dist-val").innerHTML =
+        `${(explored.totalUnique / 1000).toFixed(2)}<span>km</span>`;
+
+    const filtered = isStatsFiltered();
+    document.getElementById("memory-count-val").innerHTML =
+        `${filtered ? memories.filter(isItemShown).length : memories.length}<span>개</span>`;
+
+    // ✅ 사진 수
+    document.getElementById("photo-count-val").innerHTML =
+        `${filtered ? photos.filter(isItemShown).length : photos.length}<span>개</span>`;
+}
+
+// ── 경로 압축 ─────────────────────────────────────
+function compactPathData() {
+    if (pathCoordinates.length <= 1) return;
+    const merged = [];
+    for (const point of pathCoordinates) {
+        const last = merged[merged.length - 1];
+        if (!last) { merged.push({ ...point }); continue; }
+        const timeGap = point.startTime - last.endTime;
+        const dist    = L.latLng(point.lat, point.lng).distanceTo([last.lat, last.lng]);
+        if (dist <= MERGE_DISTANCE_M && timeGap <= MERGE_TIME_GAP_MS &&
+            point.sessionId === last.sessionId && point.mode === last.mode) {
+            const tv = (last.visits || 1) + (point.visits || 1);
+            last.lat     = ((last.lat * (last.visits || 1)) + (point.lat * (point.visits || 1))) / tv;
+            last.lng     = ((last.lng * (last.visits || 1)) + (point.lng * (point.visits || 1))) / tv;
+            last.endTime = Math.max(last.endTime, point.endTime);
+            last.visits  = tv;
+        } else {
+            merged.push({ ...point });
+        }
+    }
+    pathCoordinates = shrinkOldPoints(merged, MAX_PATH_POINTS);
+}
+
+function shrinkOldPoints(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    const keepTail = Math.floor(maxPoints * 0.4);
+    const tail  = points.slice(-keepTail);
+    const head  = points.slice(0, points.length - keepTail);
+    const ratio = Math.ceil(head.length / (maxPoints - keepTail));
+    return [...head.filter((_, i) => i % ratio === 0), ...tail].slice(-maxPoints);
+}
+
+// ── 기억 마킹 ─────────────────────────────────────
+// 이름·메모는 입력한 그대로 보관하고 화면에는 textContent로만 넣는다.
+// 분류마다 마커 아이콘이 다르다 (아이콘은 고정된 값이라 divIcon html에 넣어도 된다).
+const MEMORY_CATEGORIES = {
+    star: { label: "기억", icon: "★" },
+    home: { label: "집",   icon: "🏠" },
+    work: { label: "일",   icon: "💼" },
+    food: { label: "맛집", icon: "🍴" },
+    cafe: { label: "카페", icon: "☕" },
+    view: { label: "풍경", icon: "🌄" }
+};
+const DEFAULT_MEMORY_CATEGORY = "star";
+
+// 편집 중인 기억과, 마커를 끌어 옮긴 위치·고른 분류 (저장 전까지 기억에는 반영하지 않는다)
+let memoryEditor = null;
+
+function addMemory() {
+    if (!currentPos) { alert("위치 정보를 수신 중입니다."); return; }
+    const input = prompt("이 장소의 이름을 입력하세요:", "새로운 발견");
+    if (input === null) return;
+    createMemory(currentPos, input);
+}
+
+// 기억 하나를 만들어 지도·목록·통계에 반영한다. addMemory와 자주 가는 곳 저장이 함께 쓴다
+function createMemory(latlng, name, category = DEFAULT_MEMORY_CATEGORY) {
+    const now  = new Date();
+    const data = {
+        id:       String(now.getTime()),
+        lat:      latlng.lat,
+        lng:      latlng.lng,
+        name:     name.trim() || "기억의 지점",
+        note:     "",
+        category,
+        ...formatItemTime(now.getTime())
+    };
+
+    memories.push(data);
+    createMemoryMarker(data, true);
+    updateMemoryList();
+    updatePlaceList();
+    updateStats();
+    scheduleSave();
+    return data;
+}
+
+function formatItemTime(time) {
+    const date = new Date(time);
+    return {
+        time,
+        dateString: date.toLocaleDateString("ko-KR",
+            { year: "numeric", month: "long", day: "numeric" }),
+        timeString: date.toLocaleTimeString("ko-KR",
+            { hour: "2-digit", minute: "2-digit" })
+    };
+}
+
+function getMemoryCategory(memory) {
+    return MEMORY_CATEGORIES[memory.category] || MEMORY_CATEGORIES[DEFAULT_MEMORY_CATEGORY];
+}
+
+function createMemoryMarker(data, openPopup = false) {
+    const category = MEMORY_CATEGORIES[data.category] ? data.category : DEFAULT_MEMORY_CATEGORY;
+    const marker = L.marker([data.lat, data.lng], {
+        pane: "memoryPane",
+        icon: L.divIcon({
+            className: `memory-marker memory-${category}`,
+            html: MEMORY_CATEGORIES[category].icon,
+            iconSize: [28, 28]
+        })
+    });
+    setMarkerShown(marker, isItemShown(data));
+
+    // 편집 중에만 끌어서 옮길 수 있다 (dragging은 지도에 올라간 뒤에 켠다)
+    marker.on("dragend", () => {
+        if (!memoryEditor || memoryEditor.id !== data.id) return;
+        const latlng = marker.getLatLng();
+        memoryEditor.lat = latlng.lat;
+        memoryEditor.lng = latlng.lng;
+    });
+
+    // 팝업은 열 때마다 만든다 (앨범 사진이 늘거나 줄어도 마커를 다시 만들 필요가 없다)
+    marker.bindPopup(() => buildMemoryPopup(data));
+    memoryMarkers.set(data.id, marker);
+    if (openPopup && map.hasLayer(marker)) marker.openPopup();
+}
+
+function buildMemoryPopup(data) {
+    const popupEl = document.createElement("div");
+
+    const title = document.createElement("b");
+    title.textContent = data.name;
+
+    const info = document.createElement("small");
+    info.style.display = "block";
+    info.textContent   = `${getMemoryCategory(data).label} · ${data.dateString} ${data.timeString || ""}`;
+
+    popupEl.appendChild(title);
+    popupEl.appendChild(document.createElement("br"));
+    popupEl.appendChild(info);
+
+    if (data.note) {
+        const note = document.createElement("p");
+        note.className   = "memory-note";
+        note.textContent = data.note;
+        popupEl.appendChild(note);
+    }
+
+    const album = getAlbum(data.id);
+    if (album.length > 0) popupEl.appendChild(createAlbumStrip(album));
+
+    const editBtn = document.createElement("button");
+    editBtn.className   = "popup-edit-btn";
+    editBtn.textContent = "편집";
+    editBtn.addEventListener("click", () => openMemoryEditor(data.id));
+
+    const delBtn = document.createElement("button");
+    delBtn.className   = "popup-delete-btn";
+    delBtn.textContent = "삭제";
+    delBtn.addEventListener("click", () => deleteMemory(data.id));
+
+    popupEl.appendChild(editBtn);
+    popupEl.appendChild(delBtn);
+    return popupEl;
+}
+
+// 바뀐 내용으로 마커를 다시 만든다
+function refreshMemoryMarker(memory) {
+    const old = memoryMarkers.get(memory.id);
+    if (old) map.removeLayer(old);
+    createMemoryMarker(memory, false);
+}
+
+// 앨범 사진과 함께 휴지통으로 옮긴다
+function deleteMemory(id) {
+    const memory = memories.find(m => m.id === id);
+    if (!memory) return;
+    if (memoryEditor && memoryEditor.id === id) closeMemoryEditor();
+    moveToTrash("memory", memory, getAlbum(id));
+    memories = memories.filter(m => m.id !== id);
+    photos   = photos.filter(p => p.memoryId !== id);
+    const marker = memoryMarkers.get(id);
+    if (marker) { map.removeLayer(marker); memoryMarkers.delete(id); }
+    updateMemoryList();
+    updatePlaceList();
+    updatePhotoList();
+    updateStats();
+    scheduleSave();
+}
+
+// ── 기억 편집 ─────────────────────────────────────
+function openMemoryEditor(id) {
+    const memory = memories.find(m => m.id === id);
+    if (!memory) return;
+    closeMemoryEditor();
+
+    memoryEditor = {
+        id, lat: memory.lat, lng: memory.lng,
+        category: MEMORY_CATEGORIES[memory.category] ? memory.category : DEFAULT_MEMORY_CATEGORY
+    };
+    document.getElementById("memory-edit-name").value = memory.name;
+    document.getElementById("memory-edit-note").value = memory.note || "";
+    document.getElementById("memory-edit-time").value = toDateTimeInputValue(memory.time);
+    syncMemoryCategoryChips();
+    syncMemoryEditorAlbum();
+
+    const marker = memoryMarkers.get(id);
+    if (marker) {
+        setMarkerShown(marker, true);
+        marker.closePopup();
+        marker.dragging.enable();
+        if (marker.getElement()) marker.getElement().classList.add("editing");
+    }
+
+    toggleSidebar(false);
+    map.flyTo([memory.lat, memory.lng], Math.max(map.getZoom(), 17));
+    document.getElementById("memory-editor").classList.add("show");
+}
+
+// 저장하지 않고 닫으면 끌어 옮긴 마커도 제자리로 돌린다
+function closeMemoryEditor() {
+    if (!memoryEditor) return;
+    const memory = memories.find(m => m.id === memoryEditor.id);
+    const marker = memoryMarkers.get(memoryEditor.id);
+    memoryEditor = null;
+
+    if (marker && memory) {
+        if (marker.dragging) marker.dragging.disable();
+        marker.setLatLng([memory.lat, memory.lng]);
+        if (marker.getElement()) marker.getElement().classList.remove("editing");
+        setMarkerShown(marker, isItemShown(memory));
+    }
+    document.getElementById("memory-editor").classList.remove("show");
+}
+
+function saveMemoryEditor() {
+    if (!memoryEditor) return;
+    const memory = memories.find(m => m.id === memoryEditor.id);
+    if (!memory) { closeMemoryEditor(); return; }
+
+    const time = new Date(document.getElementById("memory-edit-time").value).getTime();
+    Object.assign(memory, {
+        name:     document.getElementById("memory-edit-name").value.trim() || "기억의 지점",
+        note:     document.getElementById("memory-edit-note").value.trim(),
+        category: memoryEditor.category,
+        lat:      memoryEditor.lat,
+        lng:      memoryEditor.lng,
+        ...(isFinite(time) ? formatItemTime(time) : {})
+    });
+
+    memoryEditor = null;
+    document.getElementById("memory-editor").classList.remove("show");
+    refreshMemoryMarker(memory);
+    updateMemoryList();
+    updatePlaceList();
+    updateStats();
+    scheduleSave();
+}
+
+function selectMemoryCategory(category) {
+    if (!memoryEditor || !MEMORY_CATEGORIES[category]) return;
+    memoryEditor.category = category;
+    syncMemoryCategoryChips();
+}
+
+// 분류 칩은 MEMORY_CATEGORIES로 한 번만 만든다
+function syncMemoryCategoryChips() {
+    const container = document.getElementById("memory-edit-categories");
+    if (!container) return;
+    if (container.children.length === 0) {
+        Object.keys(MEMORY_CATEGORIES).forEach(key => {
+            const chip = document.createElement("button");
+            chip.className        = "mode-chip category-chip";
+            chip.dataset.category = key;
+            chip.textContent      = `${MEMORY_CATEGORIES[key].icon} ${MEMORY_CATEGORIES[key].label}`;
+            chip.addEventListener("click", () => selectMemoryCategory(key));
+            container.appendChild(chip);
+        });
+    }
+    container.querySelectorAll(".category-chip").forEach(chip => {
+        chip.classList.toggle("on", Boolean(memoryEditor) && chip.dataset.category === memoryEditor.category);
+    });
+}
+
+// 앨범 사진은 고르는 즉시 저장된다 (편집 취소와 상관없다)
+function syncMemoryEditorAlbum() {
+    const container = document.getElementById("memory-edit-album");
+    if (!container || !memoryEditor) return;
+    container.innerHTML = "";
+    const album = getAlbum(memoryEditor.id);
+    if (album.length > 0) container.appendChild(createAlbumStrip(album));
+
+    const addBtn = document.createElement("button");
+    addBtn.className   = "data-action-btn";
+    addBtn.textContent = album.length > 0 ? `사진 추가 (${album.length}장)` : "사진 추가";
+    addBtn.addEventListener("click", () => pickAlbumPhotos(memoryEditor.id));
+    container.appendChild(addBtn);
+}
+
+// datetime-local 입력값 ("YYYY-MM-DDTHH:MM", 로컬 시각)
+function toDateTimeInputValue(time) {
+    const date = new Date(time);
+    const pad  = n => String(n).padStart(2, "0");
+    return `${ExplorationEngine.dayKey(time)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ── 기억 목록 ─────────────────────────────────────
+// 이름·메모 검색, 날짜·월·분류로 묶기, 가까운순 정렬을 지원한다.
+// 목록은 사이드바 스크롤에 맞춰 보이는 줄만 그린다 (줄 높이는 고정).
+const MEMORY_LIST_KEY      = "giloa-memory-list";
+const MEMORY_ROW_H         = 142;
+const MEMORY_HEADER_H      = 32;
+const MEMORY_LIST_OVERSCAN = 4;
+const MEMORY_GROUPS        = ["day", "month", "category", "none"];
+const MEMORY_SORTS         = ["recent", "distance"];
+
+let memoryListView = { query: "", group: "day", sort: "recent" };
+// 지금 목록에 보일 줄 { type: "header"|"item", top, ... } (updateMemoryList가 다시 만든다)
+let memoryRows     = [];
+
+document.getElementById("sidebar").addEventListener("scroll", renderMemoryRows, { passive: true });
+window.addEventListener("resize", renderMemoryRows);
+
+function updateMemoryList() {
+    const container = document.getElementById("memory-list-container");
+    if (!container) return;
+
+    const query = memoryListView.query.trim().toLowerCase();
+    const items = memories
+        .filter(m => !query ||
+            m.name.toLowerCase().includes(query) ||
+            (m.note || "").toLowerCase().includes(query))
+        .map(memo => ({
+            memo,
+            distance: currentPos ? map.distance(currentPos, [memo.lat, memo.lng]) : null
+        }));
+
+    // 위치를 모르면 가까운순도 최근순으로 보여 준다
+    const byDistance = memoryListView.sort === "distance" && currentPos;
+    items.sort(byDistance
+        ? (a, b) => a.distance - b.distance
+        : (a, b) => b.memo.time - a.memo.time);
+
+    // 정렬된 순서대로 묶으므로 묶음도 그 묶음의 첫 항목 순서를 따른다
+    const groups = memoryListView.group === "none"
+        ? { "": items }
+        : Utils.groupBy(items, item => getMemoryGroupLabel(item.memo));
+
+    memoryRows = [];
+    let top = 0;
+    Object.keys(groups).forEach(label => {
+        if (label) {
+            memoryRows.push({ type: "header", top, label, count: groups[label].length });
+            top += MEMORY_HEADER_H;
+        }
+        groups[label].forEach(item => {
+            memoryRows.push({ type: "item", top, ...item });
+            top += MEMORY_ROW_H;
+        });
+    });
+
+    container.innerHTML = "";
+    if (memoryRows.length === 0) {
+        container.style.height = "";
+        container.innerHTML = memories.length === 0
+            ? '<p class="empty-message">아직 기록이 없습니다.</p>'
+            : '<p class="empty-message">찾는 기억이 없습니다.</p>';
+        return;
+    }
+    container.style.height = `${top}px`;
+    renderMemoryRows();
+}
+
+function getMemoryGroupLabel(memo) {
+    if (memoryListView.group === "category") {
+        const category = getMemoryCategory(memo);
+        return `${category.icon} ${category.label}`;
+    }
+    const date = new Date(memo.time);
+    return memoryListView.group === "month"
+        ? date.toLocaleDateString("ko-KR", { year: "numeric", month: "long" })
+        : date.toLocaleDateString("ko-KR", { year: "numeric", month: "long", day: "numeric", weekday: "short" });
+}
+
+// 사이드바에서 보이는 범위(+여유 줄)만 그린다
+function renderMemoryRows() {
+    const sidebar   = document.getElementById("sidebar");
+    const container = document.getElementById("memory-list-container");
+    if (!sidebar || !container || memoryRows.length === 0) return;
+
+    const from = sidebar.getBoundingClientRect().top - container.getBoundingClientRect().top;
+    const to   = from + sidebar.clientHeight;
+
+    let first = findMemoryRow(from) - MEMORY_LIST_OVERSCAN;
+    let last  = findMemoryRow(to) + MEMORY_LIST_OVERSCAN;
+    first = Math.max(0, first);
+    last  = Math.min(memoryRows.length - 1, last);
+
+    container.innerHTML = "";
+    for (let i = first; i <= last; i++) {
+        const row = memoryRows[i];
+        const el  = row.type === "header" ? createMemoryHeaderRow(row) : createMemoryItemRow(row);
+        el.style.top = `${row.top}px`;
+        container.appendChild(el);
+    }
+}
+
+// offset 위치에 걸친 줄의 번호 (줄은 top 순으로 놓여 있다)
+function findMemoryRow(offset) {
+    let lo = 0, hi = memoryRows.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (memoryRows[mid].top <= offset) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+function createMemoryHeaderRow(row) {
+    const header = document.createElement("div");
+    header.className    = "memory-row memory-group-header";
+    header.style.height = `${MEMORY_HEADER_H}px`;
+    header.textContent  = `${row.label} · ${row.count}`;
+    return header;
+}
+
+function createMemoryItemRow({ memo, distance }) {
+    const row = document.createElement("div");
+    row.className    = "memory-row";
+    row.style.height = `${MEMORY_ROW_H}px`;
+
+    const item = document.createElement("div");
+    item.className = "memory-item";
+
+    const name = document.createElement("span");
+    name.className   = "item-name";
+    name.textContent = `${getMemoryCategory(memo).icon} ${memo.name}`;
+
+    const date = document.createElement("span");
+    date.className   = "item-date";
+    date.textContent = `${memo.dateString} ${memo.timeString || ""}` +
+        (distance !== null ? ` · ${formatMemoryDistance(distance)}` : "");
+
+    const note = document.createElement("span");
+    note.className   = "item-date item-note";
+    note.textContent = memo.note || "";
+
+    const actions = document.createElement("div");
+    actions.className = "memory-actions";
+
+    const moveBtn = document.createElement("button");
+    moveBtn.className   = "memory-action-btn move";
+    moveBtn.textContent = "이동";
+    moveBtn.addEventListener("click", e => {
+        e.stopPropagation();
+        map.flyTo([memo.lat, memo.lng], 17);
+    });
+
+    const editBtn = document.createElement("button");
+    editBtn.className   = "memory-action-btn cancel";
+    editBtn.textContent = "편집";
+    editBtn.addEventListener("click", e => {
+        e.stopPropagation();
+        openMemoryEditor(memo.id);
+    });
+
+    const delBtn = document.createElement("button");
+    delBtn.className   = "memory-action-btn delete";
+    delBtn.textContent = "삭제";
+    delBtn.addEventListener("click", e => {
+        e.stopPropagation();
+        deleteMemory(memo.id);
+    });
+
+    actions.appendChild(moveBtn);
+    actions.appendChild(editBtn);
+    actions.appendChild(delBtn);
+    item.appendChild(name);
+    item.appendChild(date);
+    item.appendChild(note);
+    item.appendChild(actions);
+
+    item.addEventListener("click", () => {
+        map.flyTo([memo.lat, memo.lng], 17);
+        toggleSidebar(false);
+    });
+
+    row.appendChild(item);
+    return row;
+}
+
+function formatMemoryDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+}
+
+function setMemorySearch(value) {
+    memoryListView.query = value;
+    updateMemoryList();
+}
+
+function setMemoryListView() {
+    const group = document.getElementById("memory-group").value;
+    const sort  = document.getElementById("memory-sort").value;
+    if (MEMORY_GROUPS.includes(group)) memoryListView.group = group;
+    if (MEMORY_SORTS.includes(sort))   memoryListView.sort  = sort;
+    localStorage.setItem(MEMORY_LIST_KEY,
+        JSON.stringify({ group: memoryListView.group, sort: memoryListView.sort }));
+    updateMemoryList();
+}
+
+// 검색어는 저장하지 않는다
+function loadMemoryListView() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MEMORY_LIST_KEY) || "null");
+        if (!saved || typeof saved !== "object") return;
+        if (MEMORY_GROUPS.includes(saved.group)) memoryListView.group = saved.group;
+        if (MEMORY_SORTS.includes(saved.sort))   memoryListView.sort  = saved.sort;
+    } catch (e) { console.warn("기억 목록 설정을 읽지 못했습니다", e); }
+}
+
+function syncMemoryListUI() {
+    const group = document.getElementById("memory-group");
+    const sort  = document.getElementById("memory-sort");
+    if (group) group.value = memoryListView.group;
+    if (sort)  sort.value  = memoryListView.sort;
+}
+
+function toggleSidebar(forceOpen) {
+    const sidebar = document.getElementById("sidebar");
+    const overlay = document.getElementById("sidebar-overlay");
+    if (!sidebar || !overlay) return;
+    const willOpen = typeof forceOpen === "boolean"
+        ? forceOpen
+        : !sidebar.classList.contains("open");
+    sidebar.classList.toggle("open", willOpen);
+    overlay.classList.toggle("show", willOpen);
+    if (!willOpen) return;
+    // 가까운순 정렬과 기록 중인 세션의 머문 곳은 위치가 바뀔 때마다가 아니라 목록을 열 때 반영한다
+    if (memoryListView.sort === "distance") updateMemoryList();
+    updatePlaceList();
+}
+
+function centerMap() {
+    if (currentPos) map.panTo(currentPos);
+}
+
+// ── 하루 다시 보기 ────────────────────────────────
+// 고른 날의 경로 점을 시간순으로 따라 재생 마커를 움직인다. 재생 시각은 실제 시간의
+// 배속으로 흐르고 슬라이더로 옮길 수 있다. 기록이 끊긴 구간은 건너뛰고,
+// 기억·사진은 재생 시각이 그 시각을 지날 때 팝업을 띄운다.
+const REPLAY_SPEEDS = [60, 300, 1200, 3600];
+
+let replay = null;
+
+function syncReplayDate() {
+    const input = document.getElementById("replay-date");
+    if (!input) return;
+    const today = ExplorationEngine.dayKey(Date.now());
+    input.max = today;
+    if (!input.value) {
+        const last = pathCoordinates[pathCoordinates.length - 1];
+        input.value = last ? ExplorationEngine.dayKey(last.startTime) : today;
+    }
+}
+
+function startReplay() {
+    const input = document.getElementById("replay-date");
+    if (!input || !input.value) { alert("다시 볼 날짜를 고르세요."); return; }
+
+    const [year, month, day] = input.value.split("-").map(Number);
+    const dayStart = new Date(year, month - 1, day).getTime();
+    const dayEnd   = new Date(year, month - 1, day + 1).getTime();
+    const points = pathCoordinates
+        .filter(p => p.endTime >= dayStart && p.startTime < dayEnd)
+        .sort((a, b) => a.startTime - b.startTime);
+    if (points.length === 0) { alert("이 날에는 기록된 경로가 없습니다."); return; }
+
+    stopReplay();
+    const from = Math.max(dayStart, points[0].startTime);
+    const to   = Math.min(dayEnd - 1, Math.max(...points.map(p => p.endTime)));
+    const events = [
+        ...memories.map(m => ({ time: m.time, markers: memoryMarkers, id: m.id })),
+        ...photos.map(p => p.memoryId
+            ? { time: p.time, markers: memoryMarkers, id: p.memoryId }
+            : { time: p.time, markers: photoMarkers, id: p.id })
+    ].filter(e => e.time >= from && e.time <= to).sort((a, b) => a.time - b.time);
+
+    replay = {
+        points, events, from, to,
+        time: from - 1,
+        speed: REPLAY_SPEEDS[0],
+        playing: false,
+        lastFrame: null,
+        frameId: null,
+        trailIndex: -1,
+        trailSegments: [],
+        marker: L.marker([points[0].lat, points[0].lng], {
+            pane: "memoryPane",
+            icon: L.divIcon({ className: "player-marker replay-marker", iconSize: [18, 18] })
+        }).addTo(map),
+        trail: L.polyline([], {
+            pane: "memoryPane", color: "#4db8ff", weight: 4, opacity: 0.9, interactive: false
+        }).addTo(map)
+    };
+
+    const slider = document.getElementById("replay-slider");
+    slider.min = from;
+    slider.max = to;
+    document.body.classList.add("replaying");
+    toggleSidebar(false);
+    map.fitBounds(L.latLngBounds(points.map(p => [p.lat, p.lng])), { padding: [40, 40], maxZoom: 17 });
+
+    setReplayTime(from);
+    playReplay();
+}
+
+function stopReplay() {
+    if (!replay) return;
+    if (replay.frameId !== null) cancelAnimationFrame(replay.frameId);
+    map.removeLayer(replay.marker);
+    map.removeLayer(replay.trail);
+    map.closePopup();
+    replay = null;
+    document.body.classList.remove("replaying");
+}
+
+function playReplay() {
+    if (!replay) return;
+    if (replay.time >= replay.to) setReplayTime(replay.from);
+    replay.playing   = true;
+    replay.lastFrame = null;
+    if (replay.frameId === null) replay.frameId = requestAnimationFrame(replayFrame);
+    syncReplayUI();
+}
+
+function pauseReplay() {
+    if (!replay) return;
+    replay.playing = false;
+    if (replay.frameId !== null) cancelAnimationFrame(replay.frameId);
+    replay.frameId = null;
+    syncReplayUI();
+}
+
+function toggleReplayPlay() {
+    if (!replay) return;
+    if (replay.playing) pauseReplay();
+    else playReplay();
+}
+
+function cycleReplaySpeed() {
+    if (!replay) return;
+    const index = REPLAY_SPEEDS.indexOf(replay.speed);
+    replay.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+    syncReplayUI();
+}
+
+function scrubReplay(value) {
+    if (!replay) return;
+    setReplayTime(Number(value));
+}
+
+function replayFrame(now) {
+    replay.frameId = null;
+    if (!replay.playing) return;
+
+    const elapsed = replay.lastFrame === null ? 0 : now - replay.lastFrame;
+    replay.lastFrame = now;
+    let time = replay.time + elapsed * replay.speed;
+
+    // 기록이 끊긴 구간은 다음 기록이 시작하는 때로 건너뛴다
+    const pos  = getReplayPosition(replay.points, replay.time);
+    const next = replay.points[pos.index + 1];
+    if (next && time > replay.points[pos.index].endTime &&
+        isPathBreak(replay.points[pos.index], next)) {
+        time = Math.max(time, next.startTime);
+    }
+
+    setReplayTime(Math.min(replay.to, time));
+    if (replay.time >= replay.to) { pauseReplay(); return; }
+    map.panInside(replay.marker.getLatLng(), { padding: [60, 60] });
+    replay.frameId = requestAnimationFrame(replayFrame);
+}
+
+// 재생 시각을 옮기고, 앞으로 지나친 기억·사진 가운데 마지막 것의 팝업을 연다
+function setReplayTime(time) {
+    const prev = replay.time;
+    replay.time = time;
+
+    const pos = getReplayPosition(replay.points, time);
+    replay.marker.setLatLng([pos.lat, pos.lng]);
+    updateReplayTrail(pos);
+
+    const crossed = replay.events.filter(e => e.time > prev && e.time <= time);
+    if (crossed.length > 0) {
+        const event  = crossed[crossed.length - 1];
+        const marker = event.markers.get(event.id);
+        if (marker) marker.openPopup();
+    }
+    syncReplayUI();
+}
+
+// time에 있던 위치. 머무는 동안은 그 점에, 이동 중이면 앞뒤 점 사이를 시간 비율로 잇는다
+function getReplayPosition(points, time) {
+    if (time <= points[0].startTime) return { lat: points[0].lat, lng: points[0].lng, index: 0 };
+
+    let lo = 0, hi = points.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (points[mid].startTime <= time) lo = mid;
+        else hi = mid - 1;
+    }
+
+    const p = points[lo], next = points[lo + 1];
+    if (!next || time <= p.endTime || isPathBreak(p, next)) return { lat: p.lat, lng: p.lng, index: lo };
+    const t = (time - p.endTime) / Math.max(1, next.startTime - p.endTime);
+    return {
+        lat: p.lat + (next.lat - p.lat) * t,
+        lng: p.lng + (next.lng - p.lng) * t,
+        index: lo
+    };
+}
+
+// 지나온 길. 끊긴 곳마다 선을 나누고, 점 목록은 지나친 점이 바뀔 때만 다시 만든다
+function updateReplayTrail(pos) {
+    if (pos.index !== replay.trailIndex) {
+        replay.trailSegments = [];
+        let segment = null;
+        for (let i = 0; i <= pos.index; i++) {
+            const p = replay.points[i];
+            if (!segment || isPathBreak(replay.points[i - 1], p)) {
+                segment = [];
+                replay.trailSegments.push(segment);
+            }
+            segment.push([p.lat, p.lng]);
+        }
+        replay.trailIndex = pos.index;
+    }
+
+    const segments = replay.trailSegments.slice();
+    segments[segments.length - 1] = [...segments[segments.length - 1], [pos.lat, pos.lng]];
+    replay.trail.setLatLngs(segments);
+}
+
+function syncReplayUI() {
+    if (!replay) return;
+    document.getElementById("replay-slider").value = replay.time;
+    document.getElementById("replay-time").textContent = new Date(replay.time)
+        .toLocaleTimeString("ko-KR", { hour: "2-digit", minute: "2-digit" });
+    document.getElementById("replay-play-btn").textContent = replay.playing ? "❚❚" : "▶";
+    document.getElementById("replay-speed-btn").textContent = `${replay.speed}x`;
+}
+
+// ── 저장 ──────────────────────────────────────────
+function scheduleSave() {
+    if (saveTimer !== null) clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        compactPathData();
+        persistState();
+    }, SAVE_DELAY_MS);
+}
+
+// IndexedDB를 쓸 수 없는 환경에서는 예전처럼 localStorage 한 덩어리로 저장한다
 function persistState() {
+    if (storageLocked) return;
+    if (!db) { persistLegacyState(); return; }
+    enqueueWrite(persistToIndexedDb).catch(() => {});
+}
+
+// IndexedDB 쓰기는 모두 saveQueue를 따라 하나씩 한다.
+// 실패는 알리고 다음 쓰기는 이어 가며, 돌려준 약속은 task의 결과대로 끝난다
+function enqueueWrite(task) {
+    const result = saveQueue.then(task);
+    saveQueue = result.catch(reportSaveFailure);
+    return result;
+}
+
+function reportSaveFailure(e) {
+    console.error("저장 실패", e);
+    recStatusBox.textContent = e && e.name === "QuotaExceededError"
+        ? "저장 공간 부족" : "저장 실패";
+    recStatusBox.classList.add("save-error");
+}
+
+async function loadState() {
+    const savedFog = localStorage.getItem(FOG_ENABLED_KEY);
+    if (savedFog !== null) isFogEnabled = savedFog === "true";
+    isRoadMatchEnabled = localStorage.getItem(ROAD_MATCH_ENABLED_KEY) === "true";
+    try {
+        const savedModes = JSON.parse(localStorage.getItem(MODE_FILTER_KEY) || "null");
+        const valid = Array.isArray(savedModes) ? savedModes.filter(m => TRANSPORT_MODES.includes(m)) : [];
+        if (valid.length > 0) modeFilter = new Set(valid);
+    } catch (e) { console.warn("이동 수단 설정을 읽지 못했습니다", e); }
+    loadTimeFilter();
+    loadHeatmapSettings();
+    loadMemoryListView();
+
+    try {
+        db = await openDatabase();
+    } catch (e) {
+        console.warn("IndexedDB를 열 수 없어 localStorage를 사용합니다", e);
+        db = null;
+    }
+
+    try {
+        let leftover = null;
+        if (db) {
+            // 더 새로운 앱이 쓴 저장소라면 마이그레이션이 무엇이든 쓰기 전에 잠근다
+            await lockIfNewerSchema();
+            leftover = await migrateLegacyState();
+            await loadFromIndexedDb();
+        } else {
+            await loadLegacyState();
+        }
+        await loadExploredRaster();
+        await loadExploration();
+        if (leftover) await mergeLegacyLeftover(leftover);
+        // 기록 중에 앱이 닫혀 확정하지 못한 이동을 마저 반영한다
+        sessions.forEach(session => settleSession(session, true));
+        sessions.forEach(session => { if (!session.staysDetected) recordSessionStays(session); });
+        compactPathData();
+        await loadRoadGraph();
+    } catch (e) { console.error("복원 실패", e); }
+}
+
+// 저장 형식과 무관하게 저장된 값을 검증해 상태에 반영한다
+function applySavedState(saved) {
+    if (Array.isArray(saved.pathCoordinates)) {
+        pathCoordinates = saved.pathCoordinates
+            .filter(p => isFinite(p.lat) && isFinite(p.lng) &&
+                         isFinite(p.startTime) && isFinite(p.endTime))
+            .map(p => ({
+                id: isFinite(p.id) ? p.id : undefined,
+                lat: p.lat, lng: p.lng,
+                startTime: p.startTime, endTime: p.endTime,
+                visits: isFinite(p.visits) ? p.visits : 1,
+                sessionId: isFinite(p.sessionId) ? p.sessionId : undefined,
+                speed: typeof p.speed === "number" && isFinite(p.speed) ? p.speed : undefined,
+                mode: TRANSPORT_MODES.includes(p.mode) ? p.mode : undefined
+            }))
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+
+    if (Array.isArray(saved.sessions)) {
+        sessions = saved.sessions
+            .filter(s => isFinite(s.id) && isFinite(s.startTime))
+            .map(s => ({
+                id: s.id,
+                name: typeof s.name === "string" ? s.name : "",
+                startTime: s.startTime,
+                endTime: isFinite(s.endTime) ? s.endTime : s.startTime,
+                distance: isFinite(s.distance) ? s.distance : 0,
+                settledUntil: isFinite(s.settledUntil) ? s.settledUntil : 0,
+                staysDetected: s.staysDetected === true
+            }));
+        nextSessionId = sessions.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+    }
+
+    if (Array.isArray(saved.memories)) {
+        memories = saved.memories
+            .filter(m => isFinite(m.lat) && isFinite(m.lng) &&
+                         typeof m.name === "string")
+            .map(m => ({
+                id: typeof m.id === "string" ? m.id : String(m.time),
+                lat: m.lat, lng: m.lng,
+                name: m.name, time: m.time,
+                note: typeof m.note === "string" ? m.note : "",
+                category: MEMORY_CATEGORIES[m.category] ? m.category : DEFAULT_MEMORY_CATEGORY,
+                dateString: m.dateString,
+                timeString: typeof m.timeString === "string"
+                    ? m.timeString
+                    : new Date(m.time).toLocaleTimeString("ko-KR",
+                        { hour: "2-digit", minute: "2-digit" })
+            }));
+    }
+
+    if (isFinite(saved.totalDistance)) totalDistance = saved.totalDistance;
+
+    if (Array.isArray(saved.stays)) {
+        stays = saved.stays
+            .filter(s => isFinite(s.lat) && isFinite(s.lng) &&
+                         isFinite(s.startTime) && isFinite(s.endTime))
+            .map(s => ({
+                id: typeof s.id === "string" ? s.id : `${s.sessionId}-${s.startTime}`,
+                lat: s.lat, lng: s.lng,
+                startTime: s.startTime, endTime: s.endTime,
+                duration: s.endTime - s.startTime,
+                pointCount: isFinite(s.pointCount) ? s.pointCount : 1,
+                sessionId: s.sessionId
+            }));
+        invalidatePlaces();
+    }
+
+    if (saved.modeDistances && typeof saved.modeDistances === "object") {
+        modeDistances = {};
+        TRANSPORT_MODES.forEach(mode => {
+            if (isFinite(saved.modeDistances[mode])) modeDistances[mode] = saved.modeDistances[mode];
+        });
+    }
+
+    if (Array.isArray(saved.photos)) {
+        const memoryIds = new Set(memories.map(m => m.id));
+        photos = saved.photos
+            .filter(p => isFinite(p.lat) && isFinite(p.lng) && typeof p.photo === "string")
+            .map(p => ({
+                ...p,
+                original: p.original instanceof Blob ? p.original : null,
+                altitude: typeof p.altitude === "number" && isFinite(p.altitude) ? p.altitude : null,
+                // 기억이 없어진 앨범 사진은 따로 떨어진 사진으로 남긴다
+                memoryId: memoryIds.has(p.memoryId) ? p.memoryId : null,
+                caption:  typeof p.caption === "string" ? p.caption : ""
+            }));
+    }
+}
+
+// ── localStorage (이전 저장 형식) ─────────────────
+function persistLegacyState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            schemaVersion: SCHEMA_VERSION,
+            pathCoordinates: pathCoordinates.map(p => ({
+                lat: p.lat, lng: p.lng,
+                startTime: p.startTime, endTime: p.endTime,
+                visits: p.visits || 1, sessionId: p.sessionId,
+                speed: p.speed, mode: p.mode
+            })),
+            sessions: sessions.map(serializeSession),
+            stays: stays.map(serializeStay),
+            memories: memories.map(serializeMemory),
+            photos: photos.map(serializeLegacyPhoto),
+            trash: trash.map(t => ({
+                id: t.id, kind: t.kind, deletedAt: t.deletedAt,
+                memory: t.memory ? serializeMemory(t.memory) : null,
+                photos: t.photos.map(serializeLegacyPhoto)
+            })),
+            // 경로를 줄여도 새로운 길이 남도록 칸도 함께 둔다 (래스터는 커서 경로로 다시 만든다)
+            exploration,
+            totalDistance,
+            modeDistances
+        }));
+    } catch (e) { reportSaveFailure(e); }
+}
+
+// localStorage에는 Blob을 넣을 수 없어 원본은 빠진다
+function serializeLegacyPhoto(p) {
+    return {
+        id: p.id, lat: p.lat, lng: p.lng,
+        photo: p.photo, time: p.time, altitude: p.altitude,
+        memoryId: p.memoryId, caption: p.caption,
+        dateString: p.dateString, timeString: p.timeString
+    };
+}
+
+// 휴지통은 스키마 마이그레이션을 거치지 않고 지운 순간의 형식 그대로 읽는다
+function loadLegacyTrash(saved) {
+    trash = (Array.isArray(saved.trash) ? saved.trash : []).filter(isTrashKept).map(t => ({
+        id: t.id, kind: t.kind, deletedAt: t.deletedAt, memory: t.memory,
+        photos: t.photos.map(p => ({ ...p, original: null }))
+    }));
+}
+
+// IndexedDB가 없으면 백업을 localStorage에 두고 같은 마이그레이션 목록을 거친다.
+// 백업할 자리가 없으면 바꾸지 못한 원본을 덮어쓰지 않도록 읽기 전용으로 연다
+async function loadLegacyState() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return;
+    const saved   = JSON.parse(raw);
+    const version = legacySnapshotVersion(saved);
+    if (version > SCHEMA_VERSION) lockStorage("이 기기의 기록은 더 새로운 버전의 앱에서 저장되었습니다.");
+
+    let migrated = saved;
+    if (version < SCHEMA_VERSION) {
+        try {
+            migrated = await runSchemaMigrations(saved, version, await backupState(raw, version));
+        } catch (e) {
+            console.error("이전 형식 변환 실패", e);
+            lockStorage("이전 형식의 기록을 백업하지 못해 새 형식으로 바꾸지 않았습니다.");
+            return;
+        }
+    }
+    applySavedState(migrated);
+    loadLegacyTrash(saved);
+    if (migrated !== saved) persistLegacyState();
+}
+
+// localStorage는 좁아 실행마다 첫 단계 직전의 원본 하나만 남기고 지난 실행의 백업은 덮어쓴다.
+// 뒤 단계의 입력은 모두 이 원본에서 다시 만들 수 있다
+function backupLegacyState(state, version, runStart) {
+    if (runStart !== null) return runStart;
+    localStorage.setItem(LEGACY_BACKUP_KEY, JSON.stringify({ version, createdAt: Date.now(), state }));
+    return 0;
+}
+
+function loadLegacyExploration() {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return saved && Array.isArray(saved.exploration) ? saved.exploration : [];
+}
+
+// 덩어리를 저장한 형식 버전. schemaVersion을 적기 전에 쓴 덩어리는 그때 있던 항목으로 가늠한다:
+// 세션이 없으면 처음의 giloa-v7이고, 그 뒤로는 각 단계가 더한 항목이 있는지를 본다
+function legacySnapshotVersion(saved) {
+    if (isFinite(saved.schemaVersion)) return saved.schemaVersion;
+    if (!Array.isArray(saved.sessions)) return LEGACY_SCHEMA_VERSION;
+    if (!saved.modeDistances) return 9;
+    if (!Array.isArray(saved.stays)) return 10;
+    if ((saved.memories || []).some(m => typeof m.category !== "string")) return 11;
+    if ((saved.photos || []).some(p => typeof p.caption !== "string")) return 12;
+    return SCHEMA_VERSION;
+}
+
+// ── IndexedDB ─────────────────────────────────────
+// 경로 점·기억·사진을 각각의 object store에 두고, 바뀐 항목만 다시 쓴다.
+// 사진은 base64 문자열이 아니라 Blob으로 보관한다.
+// 마지막으로 저장에 성공한 항목별 서명 — 이것과 다른 항목만 쓴다
+let persistedSignatures = {
+    path: new Map(), memories: new Map(), photos: new Map(), sessions: new Map(), stays: new Map(),
+    trash: new Map()
+};
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) { reject(new Error("IndexedDB 미지원")); return; }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const store = req.result;
+            if (!store.objectStoreNames.contains("path"))     store.createObjectStore("path",     { keyPath: "id" });
+            if (!store.objectStoreNames.contains("memories")) store.createObjectStore("memories", { keyPath: "id" });
+            if (!store.objectStoreNames.contains("photos"))   store.createObjectStore("photos",   { keyPath: "id" });
+            if (!store.objectStoreNames.contains("meta"))     store.createObjectStore("meta");
+            if (!store.objectStoreNames.contains("backups"))  store.createObjectStore("backups",  { autoIncrement: true });
+            if (!store.objectStoreNames.contains("explored")) store.createObjectStore("explored");
+            if (!store.objectStoreNames.contains("exploration")) store.createObjectStore("exploration");
+            if (!store.objectStoreNames.contains("sessions")) store.createObjectStore("sessions", { keyPath: "id" });
+            if (!store.objectStoreNames.contains("roads"))    store.createObjectStore("roads");
+            if (!store.objectStoreNames.contains("stays"))    store.createObjectStore("stays",    { keyPath: "id" });
+            if (!store.objectStoreNames.contains("trash"))    store.createObjectStore("trash",    { keyPath: "id" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+    });
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error || new Error("트랜잭션 중단"));
+    });
+}
+
+async function persistToIndexedDb() {
+    pathCoordinates.forEach(p => { if (p.id == null) p.id = nextPathId++; });
+
+    const tx = db.transaction(
+        ["path", "memories", "photos", "sessions", "stays", "trash", "meta", "explored", "exploration"], "readwrite");
+    const exploredKeys = [...exploredDirty];
+    exploredDirty.clear();
+    exploredKeys.forEach(key => tx.objectStore("explored").put(exploredTiles.get(key).bits, key));
+    const explorationCells = exploration.takeDirtyCells();
+    explorationCells.forEach(([key, cell]) => tx.objectStore("exploration").put(cell, key));
+
+    const next = {
+        path: syncObjectStore(tx.objectStore("path"), pathCoordinates,
+            pathSignature, serializePathPoint, persistedSignatures.path),
+        memories: syncObjectStore(tx.objectStore("memories"), memories,
+            memorySignature, serializeMemory, persistedSignatures.memories),
+        photos: syncObjectStore(tx.objectStore("photos"), photos,
+            photoSignature, serializePhoto, persistedSignatures.photos),
+        sessions: syncObjectStore(tx.objectStore("sessions"), sessions,
+            sessionSignature, serializeSession, persistedSignatures.sessions),
+        stays: syncObjectStore(tx.objectStore("stays"), stays,
+            staySignature, serializeStay, persistedSignatures.stays),
+        trash: syncObjectStore(tx.objectStore("trash"), trash,
+            trashSignature, serializeTrashItem, persistedSignatures.trash)
+    };
+    tx.objectStore("meta").put(totalDistance, "totalDistance");
+    tx.objectStore("meta").put({ ...modeDistances }, "modeDistances");
+
+    try {
+        await idbTransactionDone(tx);
+    } catch (e) {
+        // 실패한 타일·칸은 다음 저장 때 다시 쓴다
+        exploredKeys.forEach(key => exploredDirty.add(key));
+        explorationCells.forEach(([key]) => exploration.dirtyCells.add(key));
+        throw e;
+    }
+    persistedSignatures = next;
+}
+
+// 서명이 바뀐 항목은 put, 사라진 항목은 delete 하고 새 서명 목록을 돌려준다
+function syncObjectStore(store, items, signatureOf, toRecord, previous) {
+    const next = new Map();
+    items.forEach(item => {
+        const sig = signatureOf(item);
+        next.set(item.id, sig);
+        if (previous.get(item.id) !== sig) store.put(toRecord(item));
+    });
+    previous.forEach((_, id) => { if (!next.has(id)) store.delete(id); });
+    return next;
+}
+
+function pathSignature(p) {
+    return `${p.lat},${p.lng},${p.startTime},${p.endTime},${p.visits || 1},${p.sessionId},${p.mode}`;
+}
+
+function serializePathPoint(p) {
+    return {
+        id: p.id, lat: p.lat, lng: p.lng,
+        startTime: p.startTime, endTime: p.endTime,
+        visits: p.visits || 1, sessionId: p.sessionId,
+        speed: p.speed, mode: p.mode
+    };
+}
+
+function sessionSignature(s) {
+    return JSON.stringify(serializeSession(s));
+}
+
+function serializeSession(s) {
+    return {
+        id: s.id, name: s.name,
+        startTime: s.startTime, endTime: s.endTime,
+        distance: s.distance, settledUntil: s.settledUntil,
+        staysDetected: s.staysDetected
+    };
+}
+
+// 머문 곳은 세션이 끝날 때 한 번 만들어지고 바뀌지 않는다
+function staySignature(s) {
+    return s.id;
+}
+
+function serializeStay(s) {
+    return {
+        id: s.id, lat: s.lat, lng: s.lng,
+        startTime: s.startTime, endTime: s.endTime,
+        pointCount: s.pointCount, sessionId: s.sessionId
+    };
+}
+
+function memorySignature(m) {
+    return JSON.stringify(serializeMemory(m));
+}
+
+function serializeMemory(m) {
+    return {
+        id: m.id, lat: m.lat, lng: m.lng,
+        name: m.name, note: m.note, category: m.category, time: m.time,
+        dateString: m.dateString, timeString: m.timeString
+    };
+}
+
+// 사진 이미지는 바뀌지 않으므로 위치·시간·앨범·설명만 비교한다
+function photoSignature(p) {
+    return JSON.stringify([p.lat, p.lng, p.time, p.memoryId, p.caption]);
+}
+
+function serializePhoto(p) {
+    return {
+        id: p.id, lat: p.lat, lng: p.lng,
+        blob: dataUrlToBlob(p.photo), original: p.original, time: p.time,
+        altitude: p.altitude, memoryId: p.memoryId, caption: p.caption,
+        dateString: p.dateString, timeString: p.timeString
+    };
+}
+
+// 원본 Blob은 읽지 않고 그대로 둔다 (사진 보기에서 열 때만 읽힌다)
+async function deserializePhoto(row) {
+    return {
+        id: row.id, lat: row.lat, lng: row.lng,
+        photo: await blobToDataUrl(row.blob), original: row.original, time: row.time,
+        altitude: row.altitude, memoryId: row.memoryId, caption: row.caption,
+        dateString: row.dateString, timeString: row.timeString
+    };
+}
+
+// 휴지통 항목은 지운 순간의 모습 그대로 두고 바뀌지 않는다
+function trashSignature(t) {
+    return t.id;
+}
+
+function serializeTrashItem(t) {
+    return {
+        id: t.id, kind: t.kind, deletedAt: t.deletedAt,
+        memory: t.memory ? serializeMemory(t.memory) : null,
+        photos: t.photos.map(serializePhoto)
+    };
+}
+
+async function loadFromIndexedDb() {
+    const tx = db.transaction(["path", "memories", "photos", "sessions", "stays", "trash", "meta"], "readonly");
+    const [pathRows, memoryRows, photoRows, sessionRows, stayRows, trashRows, savedDistance, savedModeDistances, savedVersion] = await Promise.all([
+        idbRequest(tx.objectStore("path").getAll()),
+        idbRequest(tx.objectStore("memories").getAll()),
+        idbRequest(tx.objectStore("photos").getAll()),
+        idbRequest(tx.objectStore("sessions").getAll()),
+        idbRequest(tx.objectStore("stays").getAll()),
+        idbRequest(tx.objectStore("trash").getAll()),
+        idbRequest(tx.objectStore("meta").get("totalDistance")),
+        idbRequest(tx.objectStore("meta").get("modeDistances")),
+        idbRequest(tx.objectStore("meta").get("schemaVersion"))
+    ]);
+
+    // 처음 만든 IndexedDB에는 schemaVersion이 없었다 — 비어 있으면 현재 형식으로 표시만 한다
+    const isEmpty = pathRows.length + memoryRows.length + photoRows.length === 0;
+    if (!isFinite(savedVersion) && isEmpty) await enqueueWrite(writeSchemaVersion);
+    const version = isFinite(savedVersion) ? savedVersion
+        : isEmpty ? SCHEMA_VERSION : FIRST_IDB_SCHEMA_VERSION;
+
+    const stored = await runSchemaMigrations({
+        pathCoordinates: pathRows,
+        memories: memoryRows,
+        photos: photoRows,
+        sessions: sessionRows,
+        stays: stayRows,
+        totalDistance: savedDistance,
+        modeDistances: savedModeDistances
+    }, version);
+
+    applySavedState({ ...stored, photos: await Promise.all(stored.photos.map(deserializePhoto)) });
+    await loadTrash(trashRows);
+
+    nextPathId = pathRows.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+    // 보관 기간이 지나 빠진 휴지통 항목은 다음 저장 때 지워진다
+    const trashSignatures = new Map(trashRows.map(t => [t.id, trashSignature(t)]));
+
+    if (version < SCHEMA_VERSION) {
+        // 형식이 바뀌었으니 모든 항목을 새 형식으로 다시 쓴다
+        persistedSignatures = {
+            path: new Map(), memories: new Map(), photos: new Map(), sessions: new Map(), stays: new Map(),
+            trash: trashSignatures
+        };
+        await enqueueWrite(async () => {
+            await persistToIndexedDb();
+            await writeSchemaVersion();
+        });
+        return;
+    }
+
+    persistedSignatures = {
+        path:     new Map(pathCoordinates.map(p => [p.id, pathSignature(p)])),
+        memories: new Map(memories.map(m => [m.id, memorySignature(m)])),
+        photos:   new Map(photos.map(p => [p.id, photoSignature(p)])),
+        sessions: new Map(sessions.map(s => [s.id, sessionSignature(s)])),
+        stays:    new Map(stays.map(s => [s.id, staySignature(s)])),
+        trash:    trashSignatures
+    };
+}
+
+// giloa-v7 한 덩어리를 한 번만 옮긴다. 옮긴 뒤에야 원본 키를 지운다.
+// 이미 옮긴 뒤라면 그 뒤에 쌓인 기록({ saved, raw, backupKey })을 돌려주어 loadState가 합치게 한다.
+async function migrateLegacyState() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw || storageLocked) return null;
+
+    // 더 새로운 앱이 남긴 덩어리는 건드리지 않는다
+    const saved   = JSON.parse(raw);
+    const version = legacySnapshotVersion(saved);
+    if (version > SCHEMA_VERSION) return null;
+
+    // 원본 문자열을 그대로 백업해 두고 그것부터 이번 마이그레이션 실행으로 친다
+    const backupKey = await backupState(raw, version);
+    const migrated  = await runSchemaMigrations(saved, version, backupKey);
+
+    const done = await idbRequest(
+        db.transaction("meta", "readonly").objectStore("meta").get("migratedFrom")
+    );
+    // 옮긴 뒤에 남은 키는 IndexedDB를 열지 못했던 동안의 기록이다 — 불러온 다음 합친다
+    if (done === STORAGE_KEY) return { saved: migrated, raw, backupKey };
+
+    applySavedState(migrated);
+    loadLegacyTrash(saved);
+    if (Array.isArray(saved.exploration)) {
+        exploration = new ExplorationEngine(saved.exploration);
+        saved.exploration.forEach(([key]) => exploration.dirtyCells.add(key));
+    }
+    await enqueueWrite(async () => {
+        await persistToIndexedDb();
+        const tx = db.transaction("meta", "readwrite");
+        tx.objectStore("meta").put(STORAGE_KEY, "migratedFrom");
+        tx.objectStore("meta").put(SCHEMA_VERSION, "schemaVersion");
+        await idbTransactionDone(tx);
+    });
+
+    await removeBackedUpLegacyState(raw, backupKey);
+    return null;
+}
+
+// 그 문자열 그대로의 백업이 IndexedDB에 있는 것을 확인한 뒤에만 giloa-v7을 지운다
+async function removeBackedUpLegacyState(raw, backupKey) {
+    const backup = await idbRequest(
+        db.transaction("backups", "readonly").objectStore("backups").get(backupKey)
+    );
+    if (!backup || backup.state !== raw) throw new Error("giloa-v7 백업을 확인하지 못해 원본을 남겨 둡니다");
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+// IndexedDB를 열지 못해 localStorage에 쌓인 기록을 불러온 상태에 더한다.
+// 가져오기와 같이 경로는 세션별로 새 세션을 만들고, 나머지는 id가 없는 것만 넣는다.
+async function mergeLegacyLeftover({ saved, raw, backupKey }) {
+    const points = (saved.pathCoordinates || []).filter(p =>
+        isFinite(p.lat) && isFinite(p.lng) && isFinite(p.startTime) && isFinite(p.endTime));
+    const savedSessions = saved.sessions || [];
+    mergeImportedPath(Object.values(Utils.groupBy(points, p => p.sessionId)).map(group => {
+        const session = savedSessions.find(s => s.id === group[0].sessionId);
+        return { name: session ? session.name : "", segments: [group] };
+    }));
+
+    const memoryIds = new Set(memories.map(m => m.id));
+    (saved.memories || []).forEach(m => { if (!memoryIds.has(m.id)) memories.push(m); });
+    const photoIds = new Set(photos.map(p => p.id));
+    (saved.photos || []).forEach(p => {
+        if (!photoIds.has(p.id)) photos.push({ ...p, original: null });
+    });
+    const trashIds = new Set(trash.map(t => t.id));
+    (saved.trash || []).filter(isTrashKept).forEach(t => {
+        if (!trashIds.has(t.id)) trash.push({ ...t, photos: t.photos.map(p => ({ ...p, original: null })) });
+    });
+
+    await enqueueWrite(persistToIndexedDb);
+    await removeBackedUpLegacyState(raw, backupKey);
+}
+
+async function lockIfNewerSchema() {
+    const version = await idbRequest(
+        db.transaction("meta", "readonly").objectStore("meta").get("schemaVersion")
+    );
+    if (version > SCHEMA_VERSION) lockStorage("이 기기의 기록은 더 새로운 버전의 앱에서 저장되었습니다.");
+}
+
+function lockStorage(reason) {
+    storageLocked = true;
+    alert(`${reason}\n데이터 보호를 위해 저장하지 않고 읽기 전용으로 엽니다.`);
+}
+
+async function writeSchemaVersion() {
+    const tx = db.transaction("meta", "readwrite");
+    tx.objectStore("meta").put(SCHEMA_VERSION, "schemaVersion");
+    await idbTransactionDone(tx);
+}
+
+// ── 스키마 마이그레이션 ───────────────────────────
+// 키는 출발 버전. 각 단계는 저장된 상태를 받아 다음 버전의 상태를 돌려주는
+// 순수 함수여야 하며 입력을 변경하지 않는다.
+const SCHEMA_MIGRATIONS = {
+    // giloa-v7 → IndexedDB 레코드: 초기 기억에는 id·timeString이, 경로 점에는 visits가 없었다
+    7: state => ({
+        pathCoordinates: (state.pathCoordinates || []).map(p => ({
+            ...p,
+            visits: isFinite(p.visits) ? p.visits : 1
+        })),
+        memories: (state.memories || []).map(m => ({
+            ...m,
+            id: typeof m.id === "string" ? m.id : String(m.time),
+            timeString: typeof m.timeString === "string"
+                ? m.timeString
+                : new Date(m.time).toLocaleTimeString("ko-KR",
+                    { hour: "2-digit", minute: "2-digit" })
+        })),
+        photos: state.photos || [],
+        totalDistance: isFinite(state.totalDistance) ? state.totalDistance : 0
+    }),
+    // 기록 세션 도입: 세션이 없던 경로는 PATH_SEGMENT_GAP_MS보다 오래 끊긴 곳마다 나눈다
+    8: state => Array.isArray(state.sessions) && state.sessions.length > 0
+        ? state
+        : { ...state, ...deriveSessions(state.pathCoordinates || []) },
+    // 이동 수단 구분 도입: 세션마다 수단을 매기고, 수단별 거리는 남아 있는 경로로 센다
+    9: state => ({
+        ...state,
+        ...assignTransportModes(state.pathCoordinates || [], state.sessions || [])
+    }),
+    // 머문 곳 도입: 세션마다 머문 곳을 찾아 둔다 (이미 솎아진 경로에서는 찾을 수 있는 만큼만)
+    10: state => ({
+        ...state,
+        ...deriveStays(state.pathCoordinates || [], state.sessions || [])
+    }),
+    // 기억 편집 도입: 이름을 HTML 이스케이프해 저장하던 것을 원래 글자로 되돌리고 메모·분류를 채운다
+    11: state => ({
+        ...state,
+        memories: (state.memories || []).map(m => ({
+            ...m,
+            name: typeof m.name === "string" ? unescapeHtml(m.name) : m.name,
+            note: typeof m.note === "string" ? m.note : "",
+            category: typeof m.category === "string" ? m.category : DEFAULT_MEMORY_CATEGORY
+        }))
+    }),
+    // 사진 앨범 도입: 그동안의 사진은 어느 기억에도 붙지 않은 사진이고 설명이 없다.
+    // 원본(original)은 이때부터 올린 사진에만 있다
+    12: state => ({
+        ...state,
+        photos: (state.photos || []).map(p => ({
+            ...p,
+            memoryId: typeof p.memoryId === "string" ? p.memoryId : null,
+            caption: typeof p.caption === "string" ? p.caption : ""
+        }))
+    })
+};
+
+// runStart: 이 실행에서 먼저 남긴 백업의 키 (원본을 미리 백업해 둔 경우)
+async function runSchemaMigrations(state, fromVersion, runStart = null) {
+    let current = state;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        const step = SCHEMA_MIGRATIONS[version];
+        if (!step) throw new Error(`저장 형식 ${version} → ${version + 1} 마이그레이션이 없습니다`);
+        const key = await backupState(current, version, runStart);
+        if (runStart === null) runStart = key;
+        current = step(current);
+    }
+    return current;
+}
+
+// 마이그레이션 직전 상태를 그대로 남기고 그 키를 돌려준다 (IndexedDB가 없으면 localStorage에).
+// 이번 실행의 백업(runStart부터)은 모두 두어 첫 단계 전의 원본이 지워지지 않게 하고,
+// 지난 실행들의 백업만 최근 MAX_STATE_BACKUPS개로 줄인다
+async function backupState(state, version, runStart = null) {
+    if (!db) return backupLegacyState(state, version, runStart);
+    const tx    = db.transaction("backups", "readwrite");
+    const store = tx.objectStore("backups");
+    const key   = await idbRequest(store.add({ version, createdAt: Date.now(), state }));
+
+    const earlier = await idbRequest(store.getAllKeys(IDBKeyRange.upperBound(runStart ?? key, true)));
+    earlier.slice(0, Math.max(0, earlier.length - MAX_STATE_BACKUPS))
+        .forEach(k => store.delete(k));
+
+    await idbTransactionDone(tx);
+    return key;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, body] = dataUrl.split(",");
+    const mime   = (/^data:([^;,]+)/.exec(header) || [])[1] || "application/octet-stream";
+    const binary = atob(body);
+    const bytes  = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload  = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ── 사진 처리 ─────────────────────────────────────
+// 사진마다 지도·목록에 쓰는 작은 미리보기(photo, JPEG data URL)와 원본 파일(original, Blob)을 둔다.
+// 기억에 붙인 사진(memoryId)은 그 기억의 앨범이 되어 따로 마커를 만들지 않는다.
+const PHOTO_THUMB_SIZE    = 400;
+const PHOTO_THUMB_QUALITY = 0.6;
+
+// 앨범 사진을 고르는 중인 기억
+let albumTargetId = null;
+
+// 사진 버튼: 여러 장을 골라 위치를 확인한 뒤(사진 가져오기) 사진마다 마커를 만든다
+function handlePhoto(event) {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length > 0) reviewPhotos(files);
+}
+
+function pickAlbumPhotos(memoryId) {
+    albumTargetId = memoryId;
+    document.getElementById("album-input").click();
+}
+
+function handleAlbumPhoto(event) {
+    const files  = [...event.target.files];
+    const memory = memories.find(m => m.id === albumTargetId);
+    event.target.value = "";
+    albumTargetId      = null;
+    if (memory && files.length > 0) addAlbumPhotos(files, memory);
+}
+
+// 앨범 사진은 위치 정보가 없으면 기억의 위치를 쓴다
+async function addAlbumPhotos(files, memory) {
+    const added  = [];
+    const failed = [];
+    for (const file of files) {
+        let read;
+        try { read = await readPhotoFile(file); }
+        catch (e) { console.warn(`${file.name} 사진을 읽지 못했습니다`, e); failed.push(file); continue; }
+
+        const data = createPhotoData(file, read, read.gps || memory, memory, added.length);
+        photos.push(data);
+        added.push(data);
+    }
+    reportUnreadablePhotos(failed);
+    if (added.length === 0) return;
+
+    syncMemoryEditorAlbum();
+    updatePhotoList();
+    updateStats();
+    scheduleSave();
+}
+
+// 시각은 찍은 시각, 알 수 없으면(또는 미래면) 올린 시각이다. index는 한꺼번에 만들 때 id가 겹치지 않게 한다
+function createPhotoData(file, read, pos, memory, index) {
+    const now = Date.now();
+    return {
+        id:       `${now}-${index}`,
+        lat:      pos.lat,
+        lng:      pos.lng,
+        altitude: read.gps ? read.gps.altitude : null,
+        photo:    read.thumbnail,
+        original: file,
+        memoryId: memory ? memory.id : null,
+        caption:  "",
+        ...formatItemTime(read.time !== null && read.time <= now ? read.time : now)
+    };
+}
+
+// 파일에서 메타데이터(readPhotoMetadata)와 방향을 바로잡은 미리보기를 만든다
+async function readPhotoFile(file) {
+    const meta = readPhotoMetadata(await file.arrayBuffer());
+    const url  = URL.createObjectURL(file);
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify({
-            pathCoordinates: pathCoordinates.map(p => ({
-                lat: p.lat, lng: p.lng,
-                startTime: p.startTime, endTime: p.endTime,
-                visits: p.visits || 1
-            })),
-            memories: memories.map(m => ({
-                id: m.id, lat: m.lat, lng: m.lng,
-                name: m.name, time: m.time,
-                dateString: m.dateString, timeString: m.timeString
-            })),
-            photos: photos.map(p => ({
-                id: p.id, lat: p.lat, lng: p.lng,
-                photo: p.photo, time: p.time,
-                dateString: p.dateString, timeString: p.timeString
-            })),
-            totalDistance
-        }));
-    } catch (e) { console.error("저장 실패", e); }
+        const img    = await loadImage(url);
+        const rotate = meta.orientation > 1 && !(await browserAppliesOrientation());
+        return { ...meta, thumbnail: makeThumbnail(img, rotate ? meta.orientation : 1) };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// HEIC는 Safari 밖에서는 <img>로 열리지 않아 미리보기를 만들 수 없다
+function reportUnreadablePhotos(files) {
+    if (files.length === 0) return;
+    const heic = files.some(f => /\.hei[cf]$/i.test(f.name) || /^image\/hei[cf]/.test(f.type));
+    alert(`사진 ${files.length}장을 읽지 못했습니다: ${files.map(f => f.name).join(", ")}` +
+        (heic ? "\nHEIC 사진은 이 브라우저에서 열 수 없습니다. JPEG로 바꿔 올려 주세요." : ""));
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload  = () => resolve(img);
+        img.onerror = () => reject(new Error("이미지를 열 수 없습니다"));
+        img.src = src;
+    });
+}
+
+function makeThumbnail(img, orientation = 1) {
+    const canvas = document.createElement("canvas");
+    const ctx    = canvas.getContext("2d");
+    let w = img.width, h = img.height;
+    if (w > h && w > PHOTO_THUMB_SIZE) { h = h * PHOTO_THUMB_SIZE / w; w = PHOTO_THUMB_SIZE; }
+    else if (h > PHOTO_THUMB_SIZE)     { w = w * PHOTO_THUMB_SIZE / h; h = PHOTO_THUMB_SIZE; }
+    applyOrientation(canvas, ctx, orientation, w, h);
+    ctx.drawImage(img, 0, 0, w, h);
+    return canvas.toDataURL("image/jpeg", PHOTO_THUMB_QUALITY);
+}
+
+// 기억에 붙은 사진 (시간순)
+function getAlbum(memoryId) {
+    return photos.filter(p => p.memoryId === memoryId).sort((a, b) => a.time - b.time);
+}
+
+// 누르면 그 사진부터 사진 보기를 연다
+function createAlbumStrip(album) {
+    const strip = document.createElement("div");
+    strip.className = "album-strip";
+    album.forEach((p, i) => {
+        const img = document.createElement("img");
+        img.src     = p.photo;
+        img.alt     = p.caption;
+        img.loading = "lazy";
+        img.addEventListener("click", () => openGallery(album, i));
+        strip.appendChild(img);
+    });
+    return strip;
+}
+
+// ✅ 사진 마커 — 팝업에 삭제 버튼 추가 (앨범 사진은 기억 마커에서 보여 준다)
+function createPhotoMarker(data, openPopup = false) {
+    if (data.memoryId) return;
+
+    // 사진 값을 HTML 문자열에 넣지 않고 DOM으로 만든다
+    const iconImg = document.createElement("img");
+    iconImg.src = data.photo;
+    const icon = L.divIcon({
+        className: "photo-marker",
+        html:      iconImg,
+        iconSize:  [44, 44],
+        iconAnchor:[22, 44]
+    });
+
+    const marker = L.marker([data.lat, data.lng], {
+        pane: "memoryPane",
+        icon: icon
+    });
+    setMarkerShown(marker, isItemShown(data));
+
+    const popupEl = document.createElement("div");
+    popupEl.className = "photo-popup";
+
+    const img = document.createElement("img");
+    img.src = data.photo;
+    img.addEventListener("click", () => {
+        const list = getPhotosByTime();
+        openGallery(list, list.indexOf(data));
+    });
+
+    const info = document.createElement("div");
+    info.style.cssText =
+        "font-size:12px;color:rgba(255,255,255,0.6);" +
+        "text-align:center;margin:6px 0 8px;";
+    info.textContent = `${data.dateString} ${data.timeString}`;
+
+    // ✅ 삭제 버튼
+    const delBtn = document.createElement("button");
+    delBtn.className   = "popup-delete-btn";
+    delBtn.textContent = "사진 삭제";
+    delBtn.addEventListener("click", () => {
+        deletePhoto(data.id);
+        marker.closePopup();
+    });
+
+    popupEl.appendChild(img);
+    popupEl.appendChild(info);
+    popupEl.appendChild(delBtn);
+
+    marker.bindPopup(popupEl);
+    photoMarkers.set(data.id, marker);
+    if (openPopup && map.hasLayer(marker)) marker.openPopup();
+}
+
+// ✅ 사진 삭제 — updateStats 포함, 휴지통으로 옮긴다
+function deletePhoto(id) {
+    const photo = photos.find(p => p.id === id);
+    if (!photo) return;
+    moveToTrash("photo", null, [photo]);
+    photos = photos.filter(p => p !== photo);
+    const marker = photoMarkers.get(id);
+    if (marker) {
+        map.removeLayer(marker);
+        photoMarkers.delete(id);
+    }
+    syncMemoryEditorAlbum();
+    updatePhotoList();
+    updateStats();
+    scheduleSave();
+}
+
+function getPhotosByTime() {
+    return [...photos].sort((a, b) => a.time - b.time);
+}
+
+// ── 사진 가져오기 ─────────────────────────────────
+// 고른 사진의 위치를 정해 확인 화면에 보여 주고, 고른 것만 저장한다.
+// 위치는 사진 GPS → 찍은 시각에 기록된 경로 위치 → 현재 위치 순으로 정한다.
+// 경로 위치의 정확도는 찍은 시각과 가장 가까운 기록 사이의 시간 차이로 매긴다.
+const PHOTO_MATCH_HIGH_MS   = 2 * 60 * 1000;
+const PHOTO_MATCH_MEDIUM_MS = 10 * 60 * 1000;
+const PHOTO_MATCH_MAX_MS    = 30 * 60 * 1000;
+const PHOTO_CONFIDENCE = {
+    high:   { label: "정확도 높음", color: "#4dff88" },
+    medium: { label: "정확도 보통", color: "#ffdc64" },
+    low:    { label: "정확도 낮음", color: "#ff8c42" }
+};
+
+// { items: [{ file, read, lat, lng, source, confidence, gap, include }] }
+let photoReview      = null;
+let photoReviewLayer = null;
+
+async function reviewPhotos(files) {
+    const items  = [];
+    const failed = [];
+    for (const file of files) {
+        let read;
+        try { read = await readPhotoFile(file); }
+        catch (e) { console.warn(`${file.name} 사진을 읽지 못했습니다`, e); failed.push(file); continue; }
+
+        const place = locatePhoto(read);
+        items.push({ file, read, ...place, include: place.source !== null && place.confidence !== "low" });
+    }
+    reportUnreadablePhotos(failed);
+    if (items.length === 0) return;
+
+    photoReview = { items: items.sort((a, b) => (a.read.time ?? Infinity) - (b.read.time ?? Infinity)) };
+    toggleSidebar(false);
+    renderPhotoReview();
+    document.getElementById("photo-review-popup").classList.add("show");
+
+    const located = items.filter(item => item.source !== null);
+    if (located.length > 0) {
+        map.fitBounds(L.latLngBounds(located.map(item => [item.lat, item.lng])),
+            { padding: [40, 40], maxZoom: 17 });
+    }
+}
+
+// { lat, lng, source: "gps"|"track"|"current"|null, confidence, gap (ms, 경로에서 찾았을 때) }
+function locatePhoto(read) {
+    if (read.gps) return { lat: read.gps.lat, lng: read.gps.lng, source: "gps", confidence: "high", gap: 0 };
+
+    const match = read.time !== null ? matchPhotoToTrack(read.time) : null;
+    if (match) return { ...match, source: "track" };
+
+    if (currentPos) return { lat: currentPos.lat, lng: currentPos.lng, source: "current", confidence: "low", gap: 0 };
+    return { lat: null, lng: null, source: null, confidence: null, gap: 0 };
+}
+
+// time에 있었던 곳. 머무는 중이면 그 점, 두 점 사이면 시간 비율로 잇고,
+// 기록이 끊긴 곳이나 기록 밖이면 PHOTO_MATCH_MAX_MS 안의 가장 가까운 점을 쓴다
+function matchPhotoToTrack(time) {
+    const points = pathCoordinates;
+    if (points.length === 0) return null;
+
+    let lo = 0, hi = points.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (points[mid].startTime <= time) lo = mid;
+        else hi = mid - 1;
+    }
+    const a = points[lo].startTime <= time ? points[lo] : null;
+    const b = a ? points[lo + 1] : points[0];
+
+    if (a && time <= a.endTime) return { lat: a.lat, lng: a.lng, confidence: "high", gap: 0 };
+
+    if (a && b && !isPathBreak(a, b)) {
+        const t   = (time - a.endTime) / Math.max(1, b.startTime - a.endTime);
+        const gap = Math.min(time - a.endTime, b.startTime - time);
+        return {
+            lat: a.lat + (b.lat - a.lat) * t,
+            lng: a.lng + (b.lng - a.lng) * t,
+            confidence: getMatchConfidence(gap),
+            gap
+        };
+    }
+
+    const nearest = [a, b].filter(Boolean)
+        .map(p => ({ p, gap: p === a ? time - a.endTime : b.startTime - time }))
+        .sort((x, y) => x.gap - y.gap)[0];
+    if (!nearest || nearest.gap > PHOTO_MATCH_MAX_MS) return null;
+    return {
+        lat: nearest.p.lat, lng: nearest.p.lng,
+        // 기록이 끊긴 곳에서는 어디로 움직였는지 모르므로 한 단계 낮춘다
+        confidence: nearest.gap <= PHOTO_MATCH_HIGH_MS ? "medium" : "low",
+        gap: nearest.gap
+    };
+}
+
+function getMatchConfidence(gap) {
+    if (gap <= PHOTO_MATCH_HIGH_MS)   return "high";
+    if (gap <= PHOTO_MATCH_MEDIUM_MS) return "medium";
+    return "low";
+}
+
+function describePhotoPlace(item) {
+    if (item.source === null) return "위치를 알 수 없음 — 저장할 수 없습니다";
+    const confidence = PHOTO_CONFIDENCE[item.confidence].label;
+    if (item.source === "gps") return `사진 GPS · ${confidence}`;
+    if (item.source === "current") return `찍은 곳을 몰라 현재 위치 · ${confidence}`;
+    const minutes = Math.round(item.gap / 60000);
+    return `기록된 경로에서 찾음 · ${confidence}` + (minutes > 0 ? ` (기록과 ${minutes}분 차이)` : "");
+}
+
+function renderPhotoReview() {
+    const body = document.getElementById("photo-review-body");
+    if (!body || !photoReview) return;
+    body.innerHTML = "";
+
+    photoReview.items.forEach(item => {
+        const row = document.createElement("label");
+        row.className = "merge-source review-item";
+
+        const img = document.createElement("img");
+        img.src = item.read.thumbnail;
+
+        const info = document.createElement("div");
+        info.className = "review-info";
+
+        const time = document.createElement("span");
+        time.className   = "item-name";
+        time.textContent = item.read.time !== null
+            ? new Date(item.read.time).toLocaleString("ko-KR",
+                { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })
+            : "찍은 시각 없음";
+
+        const place = document.createElement("span");
+        place.className   = "item-date";
+        place.textContent = describePhotoPlace(item);
+        if (item.confidence) place.style.color = PHOTO_CONFIDENCE[item.confidence].color;
+
+        const check = document.createElement("input");
+        check.type     = "checkbox";
+        check.checked  = item.include;
+        check.disabled = item.source === null;
+        check.addEventListener("change", () => {
+            item.include = check.checked;
+            syncPhotoReviewUI();
+        });
+
+        info.appendChild(time);
+        info.appendChild(place);
+        row.appendChild(img);
+        row.appendChild(info);
+        row.appendChild(check);
+        body.appendChild(row);
+    });
+    syncPhotoReviewUI();
+}
+
+// 저장 버튼과 지도 미리보기 (고른 사진은 진하게)
+function syncPhotoReviewUI() {
+    if (!photoReview) return;
+    const count = photoReview.items.filter(item => item.include).length;
+    const btn   = document.getElementById("photo-review-confirm-btn");
+    btn.textContent = `${count}장 저장`;
+    btn.disabled    = count === 0;
+
+    if (photoReviewLayer) map.removeLayer(photoReviewLayer);
+    photoReviewLayer = L.layerGroup(
+        photoReview.items.filter(item => item.source !== null).map(item =>
+            L.circleMarker([item.lat, item.lng], {
+                radius: 7, weight: 2, color: "#fff",
+                fillColor: PHOTO_CONFIDENCE[item.confidence].color,
+                fillOpacity: item.include ? 0.9 : 0.25,
+                opacity: item.include ? 1 : 0.4
+            })
+        )
+    ).addTo(map);
+}
+
+function closePhotoReview() {
+    photoReview = null;
+    if (photoReviewLayer) { map.removeLayer(photoReviewLayer); photoReviewLayer = null; }
+    document.getElementById("photo-review-popup").classList.remove("show");
+}
+
+function confirmPhotoReview() {
+    if (!photoReview) return;
+    const added = photoReview.items
+        .filter(item => item.include && item.source !== null)
+        .map((item, i) => createPhotoData(item.file, item.read, item, null, i));
+    closePhotoReview();
+    if (added.length === 0) return;
+
+    photos.push(...added);
+    added.forEach(p => createPhotoMarker(p, added.length === 1));
+    if (added.length === 1) map.flyTo([added[0].lat, added[0].lng], 17);
+    updatePhotoList();
+    updateStats();
+    scheduleSave();
+}
+
+// ── 사진 메타데이터 ───────────────────────────────
+// JPEG(APP1)·PNG(eXIf/iTXt)·WebP(EXIF/XMP 청크)·HEIC/AVIF(meta 상자의 Exif·XMP 항목)에서
+// EXIF와 XMP를 꺼내 찍힌 위치(고도 포함)·시각·방향을 읽는다. EXIF 값이 XMP보다 앞선다.
+// 돌려주는 값: { gps: { lat, lng, altitude } | null, time: ms | null, orientation: 1~8 }
+const XMP_NS_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+
+// 방향 시험용 2×1 JPEG (Orientation 6). 브라우저가 방향을 적용하면 1×2로 읽힌다
+const ORIENTATION_TEST_JPEG =
+    "data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wBDAAEBAQEBAQEBAQEBAQEB" +
+    "AQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAIBAREA/8QAFAABAAAAAAAAAAAA" +
+    "AAAAAAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z";
+
+let orientationTest = null;
+
+function readPhotoMetadata(buffer) {
+    const meta = { gps: null, time: null, orientation: 1 };
+    try {
+        const view    = new DataView(buffer);
+        const sources = findMetadataSources(view);
+        const exif    = sources.tiff !== null ? readTiff(view, sources.tiff) : {};
+        const xmp     = sources.xmp ? readXmp(sources.xmp) : {};
+
+        const lat = exif.lat ?? xmp.lat;
+        const lng = exif.lng ?? xmp.lng;
+        if (isFinite(lat) && isFinite(lng) && !(lat === 0 && lng === 0)) {
+            meta.gps = { lat, lng, altitude: exif.altitude ?? xmp.altitude ?? null };
+        }
+        meta.time        = exif.time ?? xmp.time ?? null;
+        meta.orientation = exif.orientation ?? xmp.orientation ?? 1;
+        if (!(meta.orientation >= 1 && meta.orientation <= 8)) meta.orientation = 1;
+    } catch (e) { console.warn("사진 메타데이터를 읽지 못했습니다", e); }
+    return meta;
+}
+
+// 파일 형식을 보고 TIFF 헤더 위치와 XMP 문자열을 찾는다
+function findMetadataSources(view) {
+    const sources = { tiff: null, xmp: null };
+    if (view.byteLength < 12) return sources;
+
+    if (view.getUint16(0) === 0xFFD8) {
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+            const length = view.getUint16(offset + 2);
+            const start  = offset + 4;
+            if (marker === 0xFFE1) {
+                if (readAscii(view, start, 6) === "Exif\0\0") sources.tiff = start + 6;
+                else if (readAscii(view, start, XMP_NS_HEADER.length) === XMP_NS_HEADER) {
+                    sources.xmp = readUtf8(view, start + XMP_NS_HEADER.length, length - 2 - XMP_NS_HEADER.length);
+                }
+            }
+            offset += 2 + length;
+        }
+    } else if (view.getUint32(0) === 0x89504E47) {
+        let offset = 8;
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type   = readAscii(view, offset + 4, 4);
+            const start  = offset + 8;
+            if (type === "eXIf") sources.tiff = start;
+            if (type === "iTXt") sources.xmp = sources.xmp || readPngXmp(view, start, length);
+            if (type === "IEND") break;
+            offset = start + length + 4;
+        }
+    } else if (readAscii(view, 0, 4) === "RIFF" && readAscii(view, 8, 4) === "WEBP") {
+        let offset = 12;
+        while (offset + 8 <= view.byteLength) {
+            const type   = readAscii(view, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            const start  = offset + 8;
+            if (type === "EXIF") sources.tiff = readAscii(view, start, 6) === "Exif\0\0" ? start + 6 : start;
+            if (type === "XMP ") sources.xmp = readUtf8(view, start, length);
+            offset = start + length + (length % 2);
+        }
+    } else if (readAscii(view, 4, 4) === "ftyp") {
+        Object.assign(sources, findHeifSources(view));
+    }
+    return sources;
+}
+
+// iTXt 청크: 키워드\0 압축여부 압축방식 언어\0 번역된 키워드\0 본문 (압축된 XMP는 건너뛴다)
+function readPngXmp(view, start, length) {
+    const end = start + length;
+    let p = start;
+    const nextNull = () => { while (p < end && view.getUint8(p) !== 0) p++; return p++; };
+
+    const keyword = readAscii(view, start, nextNull() - start);
+    if (keyword !== "XML:com.adobe.xmp" || view.getUint8(p) !== 0) return null;
+    p += 2;
+    nextNull();
+    nextNull();
+    return readUtf8(view, p, end - p);
+}
+
+// HEIF: meta 상자의 iinf에서 Exif·XMP 항목을 찾고 iloc에서 그 위치를 읽는다
+function findHeifSources(view) {
+    const sources = { tiff: null, xmp: null };
+    const meta = readBoxes(view, 0, view.byteLength).find(b => b.type === "meta");
+    if (!meta) return sources;
+
+    const children = readBoxes(view, meta.start + 4, meta.end);
+    const iinf = children.find(b => b.type === "iinf");
+    const iloc = children.find(b => b.type === "iloc");
+    if (!iinf || !iloc) return sources;
+
+    const items = new Map();
+    const iinfVersion = view.getUint8(iinf.start);
+    readBoxes(view, iinf.start + (iinfVersion === 0 ? 6 : 8), iinf.end)
+        .filter(b => b.type === "infe")
+        .forEach(b => {
+            const version = view.getUint8(b.start);
+            if (version < 2) return;
+            let p = b.start + 4;
+            const id = version === 2 ? view.getUint16(p) : view.getUint32(p);
+            p += (version === 2 ? 2 : 4) + 2;
+            const type = readAscii(view, p, 4);
+            p += 4;
+            let contentType = "";
+            if (type === "mime") {
+                let q = p;
+                while (q < b.end && view.getUint8(q) !== 0) q++;
+                q++;
+                const start = q;
+                while (q < b.end && view.getUint8(q) !== 0) q++;
+                contentType = readAscii(view, start, q - start);
+            }
+            items.set(id, { type, contentType });
+        });
+
+    readIloc(view, iloc).forEach(({ id, offset, length }) => {
+        const item = items.get(id);
+        if (!item) return;
+        if (item.type === "Exif") sources.tiff = offset + 4 + view.getUint32(offset);
+        if (item.type === "mime" && item.contentType === "application/rdf+xml") {
+            sources.xmp = readUtf8(view, offset, length);
+        }
+    });
+    return sources;
+}
+
+// 항목마다 첫 extent의 파일 위치만 쓴다 (construction_method 0, 같은 파일 안)
+function readIloc(view, box) {
+    const version = view.getUint8(box.start);
+    let p = box.start + 4;
+    const sizes = view.getUint16(p);
+    p += 2;
+    const offsetSize = sizes >> 12, lengthSize = (sizes >> 8) & 15;
+    const baseSize   = (sizes >> 4) & 15, indexSize = version > 0 ? sizes & 15 : 0;
+
+    const readN = size => {
+        const value = size === 8 ? Number(view.getBigUint64(p))
+                    : size === 4 ? view.getUint32(p)
+                    : size === 2 ? view.getUint16(p) : 0;
+        p += size;
+        return value;
+    };
+
+    const count = version < 2 ? readN(2) : readN(4);
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        const id = version < 2 ? readN(2) : readN(4);
+        const method = version > 0 ? readN(2) & 15 : 0;
+        readN(2);
+        const base    = readN(baseSize);
+        const extents = readN(2);
+        for (let e = 0; e < extents; e++) {
+            readN(indexSize);
+            const offset = readN(offsetSize);
+            const length = readN(lengthSize);
+            if (e === 0 && method === 0) result.push({ id, offset: base + offset, length });
+        }
+    }
+    return result;
+}
+
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) { size = Number(view.getBigUint64(offset + 8)); header = 16; }
+        else if (size === 0) size = end - offset;
+        if (size < header) break;
+        boxes.push({ type: readAscii(view, offset + 4, 4), start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+// IFD0 → Exif IFD·GPS IFD. 시각은 DateTimeOriginal(+OffsetTimeOriginal) → GPS 시각(UTC) →
+// 시간대 없는 DateTimeOriginal(기기 시간대로 읽는다) → DateTime 순으로 쓴다
+function readTiff(view, tiff) {
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd0   = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+    const exif   = ifd0.has(0x8769) ? readIfd(view, tiff, ifd0.get(0x8769), little) : new Map();
+    const gps    = ifd0.has(0x8825) ? readIfd(view, tiff, ifd0.get(0x8825), little) : new Map();
+    const result = {};
+
+    if (ifd0.has(0x0112)) result.orientation = ifd0.get(0x0112);
+
+    if (gps.has(2) && gps.has(4)) {
+        result.lat = dmsToDegrees(gps.get(2)) * (gps.get(1) === "S" ? -1 : 1);
+        result.lng = dmsToDegrees(gps.get(4)) * (gps.get(3) === "W" ? -1 : 1);
+    }
+    if (gps.has(6)) result.altitude = gps.get(6) * (gps.get(5) === 1 ? -1 : 1);
+
+    const original = exif.get(0x9003);
+    const offset   = exif.get(0x9011);
+    let gpsTime = null;
+    if (typeof gps.get(29) === "string" && Array.isArray(gps.get(7))) {
+        const [y, mo, d] = gps.get(29).split(":").map(Number);
+        const [h, mi, s] = gps.get(7);
+        const utc = Date.UTC(y, mo - 1, d, h, mi, Math.floor(s));
+        if (Number.isFinite(utc)) gpsTime = utc;
+    }
+    const time = (offset !== undefined ? parseExifDate(original, offset) : null) ??
+        gpsTime ??
+        parseExifDate(original) ??
+        parseExifDate(ifd0.get(0x0132), exif.get(0x9010));
+    if (time !== null) result.time = time;
+    return result;
+}
+
+// 태그 → 값 (여러 개면 배열). 값이 4바이트를 넘으면 TIFF 안의 위치를 가리킨다
+function readIfd(view, tiff, ifdOffset, little) {
+    const SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    const tags  = new Map();
+    const base  = tiff + ifdOffset;
+    const count = view.getUint16(base, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = base + 2 + i * 12;
+        const tag   = view.getUint16(entry, little);
+        const type  = view.getUint16(entry + 2, little);
+        const n     = view.getUint32(entry + 4, little);
+        const size  = SIZES[type];
+        if (!size) continue;
+        const at = size * n > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+        if (at + size * n > view.byteLength) continue;
+
+        if (type === 2) {
+            tags.set(tag, readAscii(view, at, n).replace(/\0+$/, "").trim());
+            continue;
+        }
+        const values = [];
+        for (let k = 0; k < n; k++) {
+            const o = at + k * size;
+            if (type === 1 || type === 7) values.push(view.getUint8(o));
+            else if (type === 3)  values.push(view.getUint16(o, little));
+            else if (type === 4)  values.push(view.getUint32(o, little));
+            else if (type === 9)  values.push(view.getInt32(o, little));
+            else if (type === 5)  values.push(view.getUint32(o, little) / view.getUint32(o + 4, little));
+            else if (type === 10) values.push(view.getInt32(o, little) / view.getInt32(o + 4, little));
+        }
+        tags.set(tag, values.length === 1 ? values[0] : values);
+    }
+    return tags;
+}
+
+function dmsToDegrees(dms) {
+    const [d = 0, m = 0, s = 0] = Array.isArray(dms) ? dms : [dms];
+    return d + m / 60 + s / 3600;
+}
+
+// "YYYY:MM:DD HH:MM:SS" (+ "+09:00" 같은 시간대). 시간대가 없으면 기기 시간대로 읽는다
+function parseExifDate(text, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || "");
+    if (!match) return null;
+    const [, y, mo, d, h, mi, s] = match;
+    if (offset === undefined) {
+        const time = new Date(+y, mo - 1, +d, +h, +mi, +s).getTime();
+        return isFinite(time) ? time : null;
+    }
+    if (!/^[+-]\d{2}:\d{2}$/.test(offset || "")) return null;
+    const time = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+    return isFinite(time) ? time : null;
+}
+
+// XMP는 속성(exif:GPSLatitude="...")과 요소(<exif:GPSLatitude>...</...>) 두 형태로 쓰인다
+function readXmp(xmp) {
+    const value = name => {
+        const match = new RegExp(`${name}(?:="([^"]*)"|>([^<]*)<)`).exec(xmp);
+        return match ? (match[1] ?? match[2]).trim() : null;
+    };
+    const result = {};
+
+    const lat = parseXmpCoordinate(value("exif:GPSLatitude"));
+    const lng = parseXmpCoordinate(value("exif:GPSLongitude"));
+    if (lat !== null && lng !== null) { result.lat = lat; result.lng = lng; }
+
+    const altitude = parseXmpRational(value("exif:GPSAltitude"));
+    if (altitude !== null) result.altitude = altitude * (value("exif:GPSAltitudeRef") === "1" ? -1 : 1);
+
+    const date = value("exif:DateTimeOriginal") || value("photoshop:DateCreated") || value("xmp:CreateDate");
+    const time = date ? Date.parse(date) : NaN;
+    if (isFinite(time)) result.time = time;
+
+    const orientation = Number(value("tiff:Orientation"));
+    if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+    return result;
+}
+
+// "37,30.5N" 또는 "37,30,30N"
+function parseXmpCoordinate(text) {
+    const match = /^(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(text || "");
+    if (!match) return null;
+    const degrees = dmsToDegrees([+match[1], +match[2], +(match[3] || 0)]);
+    return match[4] === "S" || match[4] === "W" ? -degrees : degrees;
+}
+
+function parseXmpRational(text) {
+    const match = /^(-?\d+(?:\.\d+)?)(?:\/(\d+))?$/.exec(text || "");
+    if (!match) return null;
+    const value = match[2] ? match[1] / match[2] : +match[1];
+    return isFinite(value) ? value : null;
+}
+
+function readAscii(view, start, length) {
+    let text = "";
+    const end = Math.min(start + length, view.byteLength);
+    for (let i = start; i < end; i++) text += String.fromCharCode(view.getUint8(i));
+    return text;
+}
+
+function readUtf8(view, start, length) {
+    const end = Math.min(start + length, view.byteLength);
+    return new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + start, Math.max(0, end - start)));
+}
+
+// 요즘 브라우저는 img·canvas에 EXIF 방향을 스스로 적용한다. 그렇지 않을 때만 직접 돌린다
+function browserAppliesOrientation() {
+    if (!orientationTest) {
+        orientationTest = loadImage(ORIENTATION_TEST_JPEG)
+            .then(img => img.width === 1)
+            .catch(() => true);
+    }
+    return orientationTest;
+}
+
+// 방향 1~8에 맞춰 캔버스를 돌린다 (w·h는 돌리기 전 그림 크기, 5~8은 캔버스 가로세로가 바뀐다)
+function applyOrientation(canvas, ctx, orientation, w, h) {
+    canvas.width  = orientation > 4 ? h : w;
+    canvas.height = orientation > 4 ? w : h;
+    const transforms = {
+        2: [-1, 0, 0, 1, w, 0],
+        3: [-1, 0, 0, -1, w, h],
+        4: [1, 0, 0, -1, 0, h],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, h, 0],
+        7: [0, -1, -1, 0, h, w],
+        8: [0, -1, 1, 0, 0, w]
+    };
+    if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+}
+
+// ── 사진 보기 ─────────────────────────────────────
+// 사진 목록 하나를 전체 화면으로 넘겨 본다. 원본이 있으면 원본을, 없으면 미리보기를 띄운다.
+const GALLERY_SWIPE_PX = 50;
+
+// { list, index, url (원본을 띄운 object URL), startX (밀기 시작 위치) }
+let gallery = null;
+
+function openGallery(list, index = 0) {
+    if (list.length === 0) return;
+    closeGallery();
+    gallery = { list, index: 0, url: null, startX: null };
+    map.closePopup();
+    document.getElementById("gallery").classList.add("show");
+    showGalleryPhoto(index);
+}
+
+function closeGallery() {
+    if (!gallery) return;
+    if (gallery.url) URL.revokeObjectURL(gallery.url);
+    gallery = null;
+    document.getElementById("gallery").classList.remove("show");
+    document.getElementById("gallery-img").removeAttribute("src");
+}
+
+function showGalleryPhoto(index) {
+    if (!gallery) return;
+    gallery.index = Math.min(Math.max(index, 0), gallery.list.length - 1);
+    const photo = gallery.list[gallery.index];
+
+    if (gallery.url) URL.revokeObjectURL(gallery.url);
+    gallery.url = photo.original ? URL.createObjectURL(photo.original) : null;
+
+    const memory = photo.memoryId ? memories.find(m => m.id === photo.memoryId) : null;
+    document.getElementById("gallery-img").src             = gallery.url || photo.photo;
+    document.getElementById("gallery-caption").textContent = photo.caption || (memory ? memory.name : "");
+    document.getElementById("gallery-time").textContent    = `${photo.dateString} ${photo.timeString}` +
+        (photo.altitude !== null ? ` · 해발 ${Math.round(photo.altitude)}m` : "");
+    document.getElementById("gallery-count").textContent   = `${gallery.index + 1} / ${gallery.list.length}`;
+    document.getElementById("gallery-prev").disabled = gallery.index === 0;
+    document.getElementById("gallery-next").disabled = gallery.index === gallery.list.length - 1;
+}
+
+function stepGallery(delta) {
+    if (gallery) showGalleryPhoto(gallery.index + delta);
+}
+
+function editGalleryCaption() {
+    if (!gallery) return;
+    const photo = gallery.list[gallery.index];
+    const input = prompt("사진 설명을 입력하세요:", photo.caption);
+    if (input === null) return;
+    photo.caption = input.trim();
+    showGalleryPhoto(gallery.index);
+    updatePhotoList();
+    scheduleSave();
+}
+
+function deleteGalleryPhoto() {
+    if (!gallery) return;
+    const photo = gallery.list[gallery.index];
+    gallery.list = gallery.list.filter(p => p !== photo);
+    deletePhoto(photo.id);
+    if (gallery.list.length === 0) closeGallery();
+    else showGalleryPhoto(gallery.index);
+}
+
+function galleryPointerDown(event) {
+    if (gallery) gallery.startX = event.clientX;
+}
+
+function galleryPointerUp(event) {
+    if (!gallery || gallery.startX === null) return;
+    const dx = event.clientX - gallery.startX;
+    gallery.startX = null;
+    if (Math.abs(dx) >= GALLERY_SWIPE_PX) stepGallery(dx < 0 ? 1 : -1);
+}
+
+document.addEventListener("keydown", e => {
+    if (!gallery) return;
+    if (e.key === "ArrowLeft")  stepGallery(-1);
+    if (e.key === "ArrowRight") stepGallery(1);
+    if (e.key === "Escape")     closeGallery();
+});
+
+// ── 사진 목록 ─────────────────────────────────────
+// 사이드바 "사진" 탭: 모든 사진을 날짜별로 묶어 오래된 것부터 보여 준다
+function updatePhotoList() {
+    const container = document.getElementById("photo-list-container");
+    if (!container) return;
+
+    if (photos.length === 0) {
+        container.innerHTML = '<p class="empty-message">아직 사진이 없습니다.</p>';
+        return;
+    }
+
+    const list   = getPhotosByTime();
+    const groups = Utils.groupBy(list, p => p.dateString);
+    container.innerHTML = "";
+    Object.keys(groups).forEach(label => {
+        const header = document.createElement("div");
+        header.className   = "memory-group-header";
+        header.textContent = `${label} · ${groups[label].length}`;
+
+        const grid = document.createElement("div");
+        grid.className = "photo-grid";
+        groups[label].forEach(p => {
+            const img = document.createElement("img");
+            img.src     = p.photo;
+            img.alt     = p.caption;
+            img.title   = p.caption;
+            img.loading = "lazy";
+            img.addEventListener("click", () => openGallery(list, list.indexOf(p)));
+            grid.appendChild(img);
+        });
+
+        container.appendChild(header);
+        container.appendChild(grid);
+    });
 }
 
-function loadState() {
-    try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (!raw) return;
-        const saved = JSON.parse(raw);
-
-        if (Array.isArray(saved.pathCoordinates)) {
-            pathCoordinates = saved.pathCoordinates
-                .filter(p => isFinite(p.lat) && isFinite(p.lng) &&
-                             isFinite(p.startTime) && isFinite(p.endTime))
-                .map(p => ({
-                    lat: p.lat, lng: p.lng,
-                    startTime: p.startTime, endTime: p.endTime,
-                    visits: isFinite(p.visits) ? p.visits : 1
-                }));
-        }
-
-        if (Array.isArray(saved.memories)) {
-            memories = saved.memories
-                .filter(m => isFinite(m.lat) && isFinite(m.lng) &&
-                             typeof m.name === "string")
-                .map(m => ({
-                    id: typeof m.id === "string" ? m.id : String(m.time),
-                    lat: m.lat, lng: m.lng,
-                    name: m.name, time: m.time,
-                    dateString: m.dateString,
-                    timeString: typeof m.timeString === "string"
-                        ? m.timeString
-                        : new Date(m.time).toLocaleTimeString("ko-KR",
-                            { hour: "2-digit", minute: "2-digit" })
-                }));
-        }
-
-        if (isFinite(saved.totalDistance)) totalDistance = saved.totalDistance;
-
-        if (Array.isArray(saved.photos)) {
-            photos = saved.photos.filter(p =>
-                isFinite(p.lat) && isFinite(p.lng) && typeof p.photo === "string"
-            );
-        }
-
-        const savedFog = localStorage.getItem(FOG_ENABLED_KEY);
-        if (savedFog !== null) isFogEnabled = savedFog === "true";
+// 사이드바 목록 탭 (기억 / 사진 / 휴지통)
+function setListTab(tab) {
+    document.querySelectorAll(".list-tab").forEach(chip => {
+        chip.classList.toggle("on", chip.dataset.tab === tab);
+    });
+    document.getElementById("memory-tab").style.display = tab === "memories" ? "" : "none";
+    document.getElementById("photo-tab").style.display  = tab === "photos"   ? "" : "none";
+    document.getElementById("trash-tab").style.display  = tab === "trash"    ? "" : "none";
+    if (tab === "memories") updateMemoryList();
+    if (tab === "trash") {
+        purgeExpiredTrash();
+        updateTrashList();
+    }
+}
 
-        compactPathData();
-    } catch (e) { console.error("복원 실패", e); }
+// ── 휴지통 ────────────────────────────────────────
+// 지운 기억(앨범 사진까지)과 사진은 바로 버리지 않고 TRASH_RETENTION_DAYS 동안 휴지통에 둔다.
+// 지운 직후에는 되돌리기 알림을 띄우고, 사이드바 "휴지통" 탭에서 복원하거나 영구 삭제한다.
+// IndexedDB를 쓸 수 없으면 다른 기록처럼 localStorage 한 덩어리에 함께 넣는다 (사진 원본은 빠진다).
+const TRASH_RETENTION_DAYS = 30;
+const UNDO_TOAST_MS        = 6000;
+
+// 항목: { id, kind: "memory" | "photo", deletedAt, memory (사진이면 null), photos }
+let trash     = [];
+let undoToast = null;   // { id: 휴지통 항목 id, timer }
+
+function moveToTrash(kind, memory, photoList) {
+    const deletedAt = Date.now();
+    const item = {
+        id: `${kind}-${memory ? memory.id : photoList[0].id}-${deletedAt}`,
+        kind, deletedAt, memory, photos: photoList
+    };
+    trash.push(item);
+    updateTrashList();
+    showUndoToast(memory ? `"${memory.name}"을(를) 휴지통으로 옮겼습니다.` : "사진을 휴지통으로 옮겼습니다.", item.id);
 }
 
-// ── 사진 처리 ─────────────────────────────────────
-function handlePhoto(event) {
+async function loadTrash(rows) {
+    trash = await Promise.all(rows.filter(isTrashKept).map(async t => ({
+        id: t.id, kind: t.kind, deletedAt: t.deletedAt, memory: t.memory,
+        photos: await Promise.all(t.photos.map(deserializePhoto))
+    })));
+}
+
+function isTrashKept(t) {
+    return Date.now() - t.deletedAt < TRASH_RETENTION_DAYS * 86400000;
+}
+
+// 앱을 오래 켜 두어도 보관 기간이 지난 항목이 남지 않게 휴지통 탭을 열 때마다 정리한다
+function purgeExpiredTrash() {
+    const kept = trash.filter(isTrashKept);
+    if (kept.length === trash.length) return;
+    trash = kept;
+    scheduleSave();
+}
+
+function restoreFromTrash(id) {
+    const item = trash.find(t => t.id === id);
+    if (!item) return;
+    trash = trash.filter(t => t !== item);
+    if (undoToast && undoToast.id === id) hideUndoToast();
+
+    if (item.memory && !memories.some(m => m.id === item.memory.id)) {
+        memories.push(item.memory);
+        createMemoryMarker(item.memory, false);
+    }
+    item.photos.forEach(p => {
+        if (photos.some(q => q.id === p.id)) return;
+        // 앨범의 기억이 없어졌으면 따로 선 사진으로 되살린다
+        if (p.memoryId && !memories.some(m => m.id === p.memoryId)) p.memoryId = null;
+        photos.push(p);
+        createPhotoMarker(p, false);
+    });
+
+    syncMemoryEditorAlbum();
+    updateMemoryList();
+    updatePlaceList();
+    updatePhotoList();
+    updateTrashList();
+    updateStats();
+    scheduleSave();
+}
+
+function purgeTrashItem(id) {
+    if (!confirm("휴지통에서 영구 삭제할까요?\n되돌릴 수 없습니다.")) return;
+    trash = trash.filter(t => t.id !== id);
+    if (undoToast && undoToast.id === id) hideUndoToast();
+    updateTrashList();
+    scheduleSave();
+}
+
+function emptyTrash() {
+    if (trash.length === 0) return;
+    if (!confirm(`휴지통의 ${trash.length}개 항목을 영구 삭제할까요?\n되돌릴 수 없습니다.`)) return;
+    trash = [];
+    hideUndoToast();
+    updateTrashList();
+    scheduleSave();
+}
+
+function showUndoToast(text, trashId) {
+    hideUndoToast();
+    document.getElementById("undo-toast-text").textContent = text;
+    document.getElementById("undo-toast").classList.add("show");
+    undoToast = { id: trashId, timer: setTimeout(hideUndoToast, UNDO_TOAST_MS) };
+}
+
+function hideUndoToast() {
+    if (!undoToast) return;
+    clearTimeout(undoToast.timer);
+    undoToast = null;
+    document.getElementById("undo-toast").classList.remove("show");
+}
+
+function undoDelete() {
+    if (undoToast) restoreFromTrash(undoToast.id);
+}
+
+// 사이드바 "휴지통" 탭: 최근에 지운 것부터 보여 준다
+function updateTrashList() {
+    const container = document.getElementById("trash-list-container");
+    if (!container) return;
+    document.getElementById("trash-empty-btn").disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+        container.innerHTML = '<p class="empty-message">휴지통이 비어 있습니다.</p>';
+        return;
+    }
+
+    container.innerHTML = "";
+    [...trash].sort((a, b) => b.deletedAt - a.deletedAt)
+        .forEach(t => container.appendChild(createTrashRow(t)));
+}
+
+function createTrashRow(t) {
+    const item = document.createElement("div");
+    item.className = "memory-item trash-item";
+
+    if (t.photos.length > 0) {
+        const img = document.createElement("img");
+        img.className = "trash-thumb";
+        img.src       = t.photos[0].photo;
+        img.alt       = "";
+        item.appendChild(img);
+    }
+
+    const name = document.createElement("span");
+    name.className   = "item-name";
+    name.textContent = t.memory
+        ? `${getMemoryCategory(t.memory).icon} ${t.memory.name}`
+        : `📷 ${t.photos[0].caption || t.photos[0].dateString}`;
+
+    const daysLeft = Math.max(1,
+        Math.ceil(TRASH_RETENTION_DAYS - (Date.now() - t.deletedAt) / 86400000));
+    const date = document.createElement("span");
+    date.className   = "item-date";
+    date.textContent = (t.memory && t.photos.length > 0 ? `사진 ${t.photos.length}장 · ` : "") +
+        `${formatItemTime(t.deletedAt).dateString} 삭제 · ${daysLeft}일 뒤 영구 삭제`;
+
+    const actions = document.createElement("div");
+    actions.className = "memory-actions";
+
+    const restoreBtn = document.createElement("button");
+    restoreBtn.className   = "memory-action-btn move";
+    restoreBtn.textContent = "복원";
+    restoreBtn.addEventListener("click", () => restoreFromTrash(t.id));
+
+    const purgeBtn = document.createElement("button");
+    purgeBtn.className   = "memory-action-btn delete";
+    purgeBtn.textContent = "영구 삭제";
+    purgeBtn.addEventListener("click", () => purgeTrashItem(t.id));
+
+    actions.appendChild(restoreBtn);
+    actions.appendChild(purgeBtn);
+    item.appendChild(name);
+    item.appendChild(date);
+    item.appendChild(actions);
+    return item;
+}
+
+// ── GPX 내보내기/가져오기 ─────────────────────────
+const GPX_NS             = "http://www.topografix.com/GPX/1/1";
+const GPX_EXT_NS         = "urn:giloa:gpx:1";
+// 가져온 사진 값은 이 형식의 data URL만 받는다 (마커·Blob 변환에 그대로 쓰인다)
+const GPX_PHOTO_RE       = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+function exportGpx() {
+    const today = new Date().toISOString().split("T")[0];
+    downloadFile(buildGpx(), `giloa_${today}.gpx`, "application/gpx+xml");
+}
+
+function buildGpx() {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="Giloa" xmlns="${GPX_NS}" xmlns:giloa="${GPX_EXT_NS}">`,
+        `<metadata><time>${new Date().toISOString()}</time></metadata>`
+    ];
+
+    memories.forEach(m => {
+        lines.push(
+            `<wpt lat="${m.lat}" lon="${m.lng}">` +
+            `<time>${new Date(m.time).toISOString()}</time>` +
+            `<name>${escapeHtml(m.name)}</name>` +
+            (m.note ? `<desc>${escapeHtml(m.note)}</desc>` : "") +
+            `<type>memory</type>` +
+            `<extensions><giloa:id>${escapeHtml(m.id)}</giloa:id>` +
+            `<giloa:category>${escapeHtml(m.category)}</giloa:category></extensions></wpt>`
+        );
+    });
+
+    // 사진은 미리보기 data URL을 확장 필드에 담는다 (원본은 GPX에 넣기에 너무 크다)
+    photos.forEach(p => {
+        lines.push(
+            `<wpt lat="${p.lat}" lon="${p.lng}">` +
+            (p.altitude !== null ? `<ele>${p.altitude}</ele>` : "") +
+            `<time>${new Date(p.time).toISOString()}</time>` +
+            `<name>사진</name>` +
+            (p.caption ? `<desc>${escapeHtml(p.caption)}</desc>` : "") +
+            `<type>photo</type>` +
+            `<extensions><giloa:id>${escapeHtml(p.id)}</giloa:id>` +
+            (p.memoryId ? `<giloa:memory>${escapeHtml(p.memoryId)}</giloa:memory>` : "") +
+            `<giloa:photo>${p.photo}</giloa:photo></extensions></wpt>`
+        );
+    });
+
+    // 세션 하나가 trk 하나, 세션 안에서 오래 끊긴 곳은 trkseg로 나눈다
+    const bySession = new Map();
+    pathCoordinates.forEach(p => {
+        if (!bySession.has(p.sessionId)) bySession.set(p.sessionId, []);
+        bySession.get(p.sessionId).push(p);
+    });
+
+    bySession.forEach((points, sessionId) => {
+        const session = sessions.find(s => s.id === sessionId);
+        lines.push("<trk>" + (session && session.name ? `<name>${escapeHtml(session.name)}</name>` : ""));
+        splitPathSegments(points, PATH_SEGMENT_GAP_MS).forEach(segment => {
+            lines.push("<trkseg>");
+            segment.forEach(p => {
+                lines.push(
+                    `<trkpt lat="${p.lat}" lon="${p.lng}">` +
+                    `<time>${new Date(p.startTime).toISOString()}</time>` +
+                    `<extensions><giloa:startTime>${p.startTime}</giloa:startTime>` +
+                    `<giloa:endTime>${p.endTime}</giloa:endTime>` +
+                    `<giloa:visits>${p.visits || 1}</giloa:visits></extensions></trkpt>`
+                );
+            });
+            lines.push("</trkseg>");
+        });
+        lines.push("</trk>");
+    });
+    lines.push("</gpx>");
+
+    return lines.join("\n");
+}
+
+function splitPathSegments(points, maxGapMs) {
+    const segments = [];
+    let current = [];
+    points.forEach(p => {
+        const last = current[current.length - 1];
+        if (last && p.startTime - last.endTime > maxGapMs) {
+            segments.push(current);
+            current = [];
+        }
+        current.push(p);
+    });
+    if (current.length > 0) segments.push(current);
+    return segments;
+}
+
+function handleGpxImport(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    const arrayReader = new FileReader();
-    arrayReader.onload = function(ae) {
-        const buffer = ae.target.result;
-        const gps    = parseExifGps(buffer);
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const result = importGpx(e.target.result);
+            alert(`GPX 가져오기 완료\n경로 ${result.points}개 지점 · ` +
+                  `기억 ${result.memories}개 · 사진 ${result.photos}개`);
+        } catch (err) {
+            console.error("GPX 가져오기 실패", err);
+            alert("GPX 파일을 읽을 수 없습니다.");
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = "";
+}
 
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            const base64 = e.target.result;
-            const now    = new Date();
-            const img    = new Image();
-
-            img.onload = function() {
-                const canvas  = document.createElement("canvas");
-                const maxSize = 400;
-                let w = img.width, h = img.height;
-                if (w > h && w > maxSize) { h = h * maxSize / w; w = maxSize; }
-                else if (h > maxSize)     { w = w * maxSize / h; h = maxSize; }
-                canvas.width = w; canvas.height = h;
-                canvas.getContext("2d").drawImage(img, 0, 0, w, h);
-                const compressed = canvas.toDataURL("image/jpeg", 0.6);
-
-                const lat = gps ? gps.lat : (currentPos ? currentPos.lat : null);
-                const lng = gps ? gps.lng : (currentPos ? currentPos.lng : null);
-
-                if (!lat || !lng) {
-                    alert("사진에 위치 정보가 없고 현재 위치도 수신 중입니다.");
-                    return;
-                }
-                if (!gps && currentPos) {
-                    alert("사진에 위치 정보가 없어 현재 위치에 저장합니다.");
-                }
+function importGpx(text) {
+    const parsed = parseGpx(text);
 
-                const data = {
-                    id:         String(now.getTime()),
-                    lat, lng,
-                    photo:      compressed,
-                    time:       now.getTime(),
-                    dateString: now.toLocaleDateString("ko-KR",
-                        { year: "numeric", month: "long", day: "numeric" }),
-                    timeString: now.toLocaleTimeString("ko-KR",
-                        { hour: "2-digit", minute: "2-digit" })
-                };
+    const addedPoints = mergeImportedPath(parsed.tracks);
 
-                photos.push(data);
-                createPhotoMarker(data, true);
-                map.flyTo([lat, lng], 17);
-                updateStats(); // ✅ 사진 수 즉시 갱신
-                scheduleSave();
-            };
-            img.src = base64;
+    const memoryIds = new Set(memories.map(m => m.id));
+    const newMemories = parsed.memories.filter(m => !memoryIds.has(m.id));
+    newMemories.forEach(m => {
+        memories.push(m);
+        createMemoryMarker(m, false);
+    });
+
+    const photoIds = new Set(photos.map(p => p.id));
+    const newPhotos = parsed.photos.filter(p => !photoIds.has(p.id));
+    // 앨범의 기억이 없으면 따로 떨어진 사진으로 가져온다
+    const albumIds = new Set(memories.map(m => m.id));
+    newPhotos.forEach(p => {
+        if (!albumIds.has(p.memoryId)) p.memoryId = null;
+        photos.push(p);
+        createPhotoMarker(p, false);
+    });
+
+    updateMemoryList();
+    updatePhotoList();
+    updateStats();
+    scheduleSave();
+    scheduleRender();
+
+    return { points: addedPoints, memories: newMemories.length, photos: newPhotos.length };
+}
+
+function parseGpx(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("잘못된 GPX 형식입니다");
+    }
+
+    const metaTime   = readGpxTime(doc.getElementsByTagNameNS("*", "metadata")[0]);
+    const importTime = isFinite(metaTime) ? metaTime : Date.now();
+
+    // trk 하나가 세션 하나. 다른 앱의 GPX는 trkseg 대신 rte만 가진 경우도 있다
+    const readSegment = (segEl, tagName) =>
+        [...segEl.getElementsByTagNameNS("*", tagName)]
+            .map(el => readGpxPathPoint(el, importTime))
+            .filter(Boolean);
+
+    const tracks = [
+        ...[...doc.getElementsByTagNameNS("*", "trk")].map(trkEl => ({
+            name: readGpxText(trkEl, "name") || "",
+            segments: [...trkEl.getElementsByTagNameNS("*", "trkseg")]
+                .map(segEl => readSegment(segEl, "trkpt"))
+        })),
+        ...[...doc.getElementsByTagNameNS("*", "rte")].map(rteEl => ({
+            name: readGpxText(rteEl, "name") || "",
+            segments: [readSegment(rteEl, "rtept")]
+        }))
+    ].map(track => ({ ...track, segments: track.segments.filter(seg => seg.length > 0) }))
+     .filter(track => track.segments.length > 0);
+
+    const memoryList = [];
+    const photoList  = [];
+
+    [...doc.getElementsByTagNameNS("*", "wpt")].forEach(el => {
+        const lat  = parseFloat(el.getAttribute("lat"));
+        const lng  = parseFloat(el.getAttribute("lon"));
+        if (!isFinite(lat) || !isFinite(lng)) return;
+
+        const time  = readGpxTime(el);
+        const date  = new Date(isFinite(time) ? time : importTime);
+        const type  = readGpxText(el, "type");
+        const id    = readGpxExt(el, "id") || `gpx-${date.getTime()}-${lat.toFixed(6)}-${lng.toFixed(6)}`;
+        const stamp = {
+            id, lat, lng,
+            time:       date.getTime(),
+            dateString: date.toLocaleDateString("ko-KR",
+                { year: "numeric", month: "long", day: "numeric" }),
+            timeString: date.toLocaleTimeString("ko-KR",
+                { hour: "2-digit", minute: "2-digit" })
         };
-        reader.readAsDataURL(file);
+
+        const photo = readGpxExt(el, "photo");
+        if (type === "photo" && photo) {
+            if (!GPX_PHOTO_RE.test(photo)) return;
+            const ele = parseFloat(readGpxText(el, "ele"));
+            photoList.push({
+                ...stamp, photo, original: null,
+                altitude: isFinite(ele) ? ele : null,
+                memoryId: readGpxExt(el, "memory"),
+                caption:  readGpxText(el, "desc") || ""
+            });
+            return;
+        }
+
+        // 분류가 없는 Giloa 기억은 이름을 escape해 보관하던 때 내보낸 것이다
+        const name     = readGpxText(el, "name") || "기억의 지점";
+        const category = readGpxExt(el, "category");
+        memoryList.push({
+            ...stamp,
+            name: type === "memory" && !category ? unescapeHtml(name) : name,
+            note: readGpxText(el, "desc") || "",
+            category: MEMORY_CATEGORIES[category] ? category : DEFAULT_MEMORY_CATEGORY
+        });
+    });
+
+    return { tracks, memories: memoryList, photos: photoList };
+}
+
+function readGpxPathPoint(el, fallbackTime) {
+    const lat = parseFloat(el.getAttribute("lat"));
+    const lng = parseFloat(el.getAttribute("lon"));
+    if (!isFinite(lat) || !isFinite(lng)) return null;
+
+    const time      = readGpxTime(el);
+    const startTime = Number(readGpxExt(el, "startTime"));
+    const endTime   = Number(readGpxExt(el, "endTime"));
+    const visits    = Number(readGpxExt(el, "visits"));
+
+    const start = startTime || (isFinite(time) ? time : fallbackTime);
+    return {
+        lat, lng,
+        startTime: start,
+        endTime:   Math.max(start, endTime || start),
+        visits:    visits > 0 ? visits : 1
     };
-    arrayReader.readAsArrayBuffer(file);
-    event.target.value = "";
 }
 
-function parseExifGps(buffer) {
-    const view = new DataView(buffer);
-    if (view.getUint16(0) !== 0xFFD8) return null;
-
-    let offset = 2;
-    while (offset < view.byteLength) {
-        const marker = view.getUint16(offset);
-        offset += 2;
-        if (marker === 0xFFE1) {
-            const exifHeader = String.fromCharCode(
-                view.getUint8(offset + 2), view.getUint8(offset + 3),
-                view.getUint8(offset + 4), view.getUint8(offset + 5)
-            );
-            if (exifHeader !== "Exif") break;
-
-            const tiffOffset   = offset + 8;
-            const littleEndian = view.getUint16(tiffOffset) === 0x4949;
-            const getU16 = o => view.getUint16(tiffOffset + o, littleEndian);
-            const getU32 = o => view.getUint32(tiffOffset + o, littleEndian);
-
-            const ifdOffset = getU32(4);
-            const ifdCount  = getU16(ifdOffset);
-
-            let gpsIfdOffset = null;
-            for (let i = 0; i < ifdCount; i++) {
-                const e = ifdOffset + 2 + i * 12;
-                if (getU16(e) === 0x8825) gpsIfdOffset = getU32(e + 8);
-            }
-            if (gpsIfdOffset === null) return null;
-
-            const gpsCount = getU16(gpsIfdOffset);
-            let latRef, lat, lngRef, lng;
-
-            for (let i = 0; i < gpsCount; i++) {
-                const e   = gpsIfdOffset + 2 + i * 12;
-                const tag = getU16(e);
-                const vo  = getU32(e + 8);
-
-                if (tag === 1) latRef = String.fromCharCode(view.getUint8(tiffOffset + vo));
-                if (tag === 3) lngRef = String.fromCharCode(view.getUint8(tiffOffset + vo));
-
-                if (tag === 2 || tag === 4) {
-                    const d   = getU32(vo)      / getU32(vo + 4);
-                    const m   = getU32(vo + 8)  / getU32(vo + 12);
-                    const s   = getU32(vo + 16) / getU32(vo + 20);
-                    const val = d + m / 60 + s / 3600;
-                    if (tag === 2) lat = val;
-                    if (tag === 4) lng = val;
-                }
-            }
+function readGpxTime(el) {
+    const text = el ? readGpxText(el, "time") : null;
+    return text ? Date.parse(text) : NaN;
+}
 
-            if (lat == null || lng == null) return null;
-            return {
-                lat: latRef === "S" ? -lat : lat,
-                lng: lngRef === "W" ? -lng : lng
-            };
+// 하위 wpt/trkpt의 값을 잘못 읽지 않도록 직계 자식만 확인한다
+function readGpxText(el, tagName) {
+    const child = [...el.children].find(c => c.localName === tagName);
+    return child ? child.textContent.trim() : null;
+}
+
+function readGpxExt(el, tagName) {
+    const found = el.getElementsByTagNameNS(GPX_EXT_NS, tagName)[0];
+    return found ? found.textContent.trim() : null;
+}
+
+// ── Google Takeout 가져오기 ───────────────────────
+const TAKEOUT_MAX_ACCURACY_M = 100;
+
+async function handleTakeoutImport(event) {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    recStatusBox.textContent = "가져오는 중...";
+    try {
+        const points = [];
+        let skipped  = 0;
+        for (const file of files) {
+            const parsed = parseTakeoutJson(JSON.parse(await file.text()));
+            if (parsed === null) { skipped++; continue; }
+            // Records.json은 수백만 개라 전개 연산자로 넘기면 호출 스택을 넘는다
+            for (const p of parsed) points.push(p);
         }
-        offset += view.getUint16(offset);
+
+        points.sort((a, b) => a.startTime - b.startTime);
+        const segments = splitPathSegments(collapseStationaryPoints(points), PATH_SEGMENT_GAP_MS);
+        const before   = pathCoordinates.length;
+        const added    = mergeImportedPath(segments.map(segment => ({
+            name: "구글 위치 기록", segments: [segment]
+        })));
+
+        updateStats();
+        scheduleSave();
+        scheduleRender();
+
+        alert(`위치 기록 가져오기 완료\n${added}개 지점 추가` +
+              (before + added > MAX_PATH_POINTS
+                  ? `\n경로 점은 최대 ${MAX_PATH_POINTS}개만 남기고 오래된 것부터 솎아 냈습니다.` +
+                    "\n(밝혀진 지도·새로운 길·머문 곳에는 모두 반영되었습니다)"
+                  : "") +
+              (skipped > 0 ? `\n(인식할 수 없는 파일 ${skipped}개 제외)` : ""));
+    } catch (err) {
+        console.error("위치 기록 가져오기 실패", err);
+        alert("위치 기록 파일을 읽을 수 없습니다.");
+    } finally {
+        syncRecordingUI();
+    }
+}
+
+// Records.json, 월별 Semantic Location History, 기기 내 Timeline.json을 모두 받는다.
+// 알 수 없는 형식이면 null
+function parseTakeoutJson(json) {
+    if (json && Array.isArray(json.locations)) {
+        return json.locations.map(takeoutRecordToPoint).filter(Boolean);
+    }
+    if (json && Array.isArray(json.timelineObjects)) {
+        return json.timelineObjects.flatMap(takeoutTimelineObjectToPoints);
+    }
+    if (json && Array.isArray(json.semanticSegments)) {
+        return json.semanticSegments.flatMap(takeoutSemanticSegmentToPoints);
     }
     return null;
 }
 
-// ✅ 사진 마커 — 팝업에 삭제 버튼 추가
-function createPhotoMarker(data, openPopup = false) {
-    const icon = L.divIcon({
-        className: "photo-marker",
-        html:      `<img src="${data.photo}" />`,
-        iconSize:  [44, 44],
-        iconAnchor:[22, 44]
+function takeoutRecordToPoint(record) {
+    if (isFinite(record.accuracy) && record.accuracy > TAKEOUT_MAX_ACCURACY_M) return null;
+    const time = parseTakeoutTime(record.timestamp, record.timestampMs);
+    return makeTakeoutPoint(record.latitudeE7, record.longitudeE7, time, time);
+}
+
+function takeoutTimelineObjectToPoints(obj) {
+    if (obj.placeVisit) {
+        // 장소 방문은 머문 시간 전체를 가진 한 점으로 — 머문 곳 찾기에서 그대로 한 번의 머묾이 된다
+        const visit = obj.placeVisit;
+        const loc   = visit.location || {};
+        const point = makeTakeoutPoint(
+            loc.latitudeE7  != null ? loc.latitudeE7  : visit.centerLatE7,
+            loc.longitudeE7 != null ? loc.longitudeE7 : visit.centerLngE7,
+            parseTakeoutDuration(visit.duration, "start"),
+            parseTakeoutDuration(visit.duration, "end")
+        );
+        return point ? [point] : [];
+    }
+
+    if (obj.activitySegment) {
+        const seg   = obj.activitySegment;
+        const start = parseTakeoutDuration(seg.duration, "start");
+        const end   = parseTakeoutDuration(seg.duration, "end");
+        const raw   = (seg.simplifiedRawPath && seg.simplifiedRawPath.points) || [];
+
+        return [
+            seg.startLocation &&
+                makeTakeoutPoint(seg.startLocation.latitudeE7, seg.startLocation.longitudeE7, start, start),
+            ...raw.map(p => {
+                const t = parseTakeoutTime(p.timestamp, p.timestampMs);
+                return makeTakeoutPoint(p.latE7, p.lngE7, t, t);
+            }),
+            seg.endLocation &&
+                makeTakeoutPoint(seg.endLocation.latitudeE7, seg.endLocation.longitudeE7, end, end)
+        ].filter(Boolean);
+    }
+
+    return [];
+}
+
+function takeoutSemanticSegmentToPoints(seg) {
+    const start = Date.parse(seg.startTime);
+    const end   = Date.parse(seg.endTime);
+
+    if (seg.visit && seg.visit.topCandidate && seg.visit.topCandidate.placeLocation) {
+        const ll = parseTakeoutLatLng(seg.visit.topCandidate.placeLocation.latLng);
+        return ll ? [makeTakeoutPoint(ll.lat * 1e7, ll.lng * 1e7, start, end)].filter(Boolean) : [];
+    }
+
+    if (Array.isArray(seg.timelinePath)) {
+        return seg.timelinePath.map(p => {
+            const ll = parseTakeoutLatLng(p.point);
+            const t  = Date.parse(p.time);
+            return ll ? makeTakeoutPoint(ll.lat * 1e7, ll.lng * 1e7, t, t) : null;
+        }).filter(Boolean);
+    }
+
+    return [];
+}
+
+function makeTakeoutPoint(latE7, lngE7, startTime, endTime) {
+    if (!isFinite(latE7) || !isFinite(lngE7) || !isFinite(startTime)) return null;
+    // 오래된 Records.json은 음수 좌표가 부호 없는 32비트로 넘쳐 저장되어 있다
+    if (latE7 > 900000000)  latE7 -= 4294967296;
+    if (lngE7 > 1800000000) lngE7 -= 4294967296;
+    return {
+        lat: latE7 / 1e7, lng: lngE7 / 1e7,
+        startTime,
+        endTime: isFinite(endTime) ? Math.max(startTime, endTime) : startTime,
+        visits: 1
+    };
+}
+
+function parseTakeoutTime(iso, ms) {
+    if (iso) return Date.parse(iso);
+    return ms != null ? Number(ms) : NaN;
+}
+
+function parseTakeoutDuration(duration, edge) {
+    if (!duration) return NaN;
+    return parseTakeoutTime(duration[`${edge}Timestamp`], duration[`${edge}TimestampMs`]);
+}
+
+// "37.5665°, 126.978°" 형태
+function parseTakeoutLatLng(text) {
+    const m = /(-?[\d.]+)°?,\s*(-?[\d.]+)°?/.exec(text || "");
+    return m ? { lat: parseFloat(m[1]), lng: parseFloat(m[2]) } : null;
+}
+
+// handlePosition과 같은 규칙으로, 제자리에서 찍힌 연속 기록은 한 점의 체류 시간으로 합친다
+function collapseStationaryPoints(points) {
+    const result = [];
+    for (const point of points) {
+        const last = result[result.length - 1];
+        if (last &&
+            point.startTime - last.endTime <= PATH_SEGMENT_GAP_MS &&
+            L.latLng(point.lat, point.lng).distanceTo([last.lat, last.lng]) <= MIN_MOVE_M) {
+            const tv = last.visits + point.visits;
+            last.lat     = (last.lat * last.visits + point.lat * point.visits) / tv;
+            last.lng     = (last.lng * last.visits + point.lng * point.visits) / tv;
+            last.endTime = Math.max(last.endTime, point.endTime);
+            last.visits  = tv;
+        } else {
+            result.push({ ...point });
+        }
+    }
+    return result;
+}
+
+// ── 다른 앱 기록 합치기 ───────────────────────────
+// wayou 페이지와 모듈형 나의대동여지도의 저장 키를 찾아
+// 공통 경로 점 모델로 바꾼 뒤 미리보기를 거쳐 합친다.
+// (이전 Giloa 저장 키는 loadState가 옮기거나 합친다)
+const WAYOU_MEMORIES_KEY   = "wayou_memories";
+const DAEDONG_DATA_KEY     = "daedongMap_data";
+const DUPLICATE_DISTANCE_M = 25;
+const DUPLICATE_TIME_TOL_MS = 30 * 1000;
+const DUPLICATE_CELL_DEG   = 0.0005;
+
+let pendingMerge      = null;
+let mergePreviewLayer = null;
+
+function detectMergeSources() {
+    const sources = [];
+
+    const readJson = key => {
+        try { return JSON.parse(localStorage.getItem(key)); }
+        catch (e) { console.warn(`${key} 읽기 실패`, e); return null; }
+    };
+
+    const daedong = readJson(DAEDONG_DATA_KEY);
+    if (daedong && (Array.isArray(daedong.routes) || Array.isArray(daedong.stayAreas))) {
+        sources.push({
+            key: DAEDONG_DATA_KEY, label: "나의 대동여지도", timed: true,
+            segments: convertDaedongData(daedong)
+        });
+    }
+
+    const wayou = readJson(WAYOU_MEMORIES_KEY);
+    if (Array.isArray(wayou)) {
+        sources.push({
+            key: WAYOU_MEMORIES_KEY, label: "wayou 기억", timed: false,
+            segments: convertWayouMemories(wayou)
+        });
+    }
+
+    return sources.filter(s => s.segments.some(seg => seg.length > 0));
+}
+
+// 경로는 경로별 한 구간, 체류 구역은 머문 시간을 가진 한 점으로
+function convertDaedongData(data) {
+    const routes = (data.routes || []).map(route =>
+        (route.points || [])
+            .map(p => {
+                const t = new Date(p.timestamp).getTime();
+                return isFinite(p.lat) && isFinite(p.lng) && isFinite(t)
+                    ? { lat: p.lat, lng: p.lng, startTime: t, endTime: t, visits: 1 }
+                    : null;
+            })
+            .filter(Boolean)
+    );
+
+    const stays = (data.stayAreas || [])
+        .map(area => {
+            const start = new Date(area.startTime).getTime();
+            const end   = new Date(area.endTime).getTime();
+            return isFinite(area.lat) && isFinite(area.lng) && isFinite(start)
+                ? [{ lat: area.lat, lng: area.lng, startTime: start,
+                     endTime: isFinite(end) ? Math.max(start, end) : start, visits: 1 }]
+                : null;
+        })
+        .filter(Boolean);
+
+    return [...routes, ...stays];
+}
+
+// wayou는 시각을 저장하지 않았으므로 wayou 페이지처럼 시각 0부터 1ms씩 둔다.
+// 오늘·이번 주 거리와 새로운 길에 들지 않고, 지난 날의 지도에서는 가장 오래된 기록이 된다
+function convertWayouMemories(list) {
+    return list.map(mem =>
+        (Array.isArray(mem.points) ? mem.points : [])
+            .filter(pt => Array.isArray(pt) && isFinite(pt[0]) && isFinite(pt[1]))
+            .map((pt, i) => ({
+                lat: pt[0], lng: pt[1],
+                startTime: i, endTime: i, visits: 1
+            }))
+    );
+}
+
+// 이미 있는 점(또는 먼저 받아들인 다른 출처의 점)과 같은 시각·같은 자리면 중복.
+// 시각 정보가 없는 출처는 같은 자리이기만 하면 중복으로 본다.
+function dedupeMergeSources(sources) {
+    const grid = new Map();
+    const cellKey = (lat, lng) =>
+        `${Math.floor(lat / DUPLICATE_CELL_DEG)}_${Math.floor(lng / DUPLICATE_CELL_DEG)}`;
+    const addToGrid = p => {
+        const key = cellKey(p.lat, p.lng);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(p);
+    };
+    const isDuplicate = (p, timed) => {
+        const cy = Math.floor(p.lat / DUPLICATE_CELL_DEG);
+        const cx = Math.floor(p.lng / DUPLICATE_CELL_DEG);
+        const here = L.latLng(p.lat, p.lng);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const cell = grid.get(`${cy + dy}_${cx + dx}`);
+                if (!cell) continue;
+                const hit = cell.some(q =>
+                    (!timed || (p.startTime <= q.endTime + DUPLICATE_TIME_TOL_MS &&
+                                p.endTime >= q.startTime - DUPLICATE_TIME_TOL_MS)) &&
+                    here.distanceTo([q.lat, q.lng]) <= DUPLICATE_DISTANCE_M
+                );
+                if (hit) return true;
+            }
+        }
+        return false;
+    };
+
+    pathCoordinates.forEach(addToGrid);
+
+    return sources.map(source => {
+        let duplicates = 0;
+        const segments = source.segments.map(segment => {
+            const kept = segment.filter(p => {
+                if (isDuplicate(p, source.timed)) { duplicates++; return false; }
+                return true;
+            });
+            kept.forEach(addToGrid);
+            return kept;
+        }).filter(seg => seg.length > 0);
+        return { ...source, segments, duplicates };
     });
+}
 
-    const marker = L.marker([data.lat, data.lng], {
-        pane: "memoryPane",
-        icon: icon
-    }).addTo(map);
+function openMergePreview() {
+    const sources = dedupeMergeSources(detectMergeSources());
+    pendingMerge = sources;
 
-    const popupEl = document.createElement("div");
-    popupEl.className = "photo-popup";
+    const body = document.getElementById("merge-preview-body");
+    body.innerHTML = "";
 
-    const img = document.createElement("img");
-    img.src = data.photo;
+    const allPoints = sources.flatMap(s => s.segments.flat());
 
-    const info = document.createElement("div");
-    info.style.cssText =
-        "font-size:12px;color:rgba(255,255,255,0.6);" +
-        "text-align:center;margin:6px 0 8px;";
-    info.textContent = `${data.dateString} ${data.timeString}`;
+    if (sources.length === 0) {
+        body.innerHTML = '<p class="empty-message">합칠 수 있는 다른 기록이 없습니다.</p>';
+    }
 
-    // ✅ 삭제 버튼
-    const delBtn = document.createElement("button");
-    delBtn.className   = "popup-delete-btn";
-    delBtn.textContent = "사진 삭제";
-    delBtn.addEventListener("click", () => {
-        deletePhoto(data.id);
-        marker.closePopup();
+    sources.forEach(source => {
+        const points = source.segments.flat();
+        const dist   = source.segments.reduce((sum, seg) => sum + segmentDistance(seg), 0);
+
+        const row = document.createElement("div");
+        row.className = "merge-source";
+
+        const title = document.createElement("span");
+        title.className   = "item-name";
+        title.textContent = source.label;
+
+        const detail = document.createElement("span");
+        detail.className   = "item-date";
+        detail.textContent =
+            `${points.length}개 지점 · 약 ${(dist / 1000).toFixed(2)}km` +
+            (source.duplicates > 0 ? ` · 중복 ${source.duplicates}개 제외` : "");
+
+        const range = document.createElement("span");
+        range.className   = "item-date";
+        range.textContent = points.length === 0 ? "새로 합칠 지점이 없습니다"
+            : source.timed ? formatDateRange(points)
+            : "시간 정보 없음 — 날짜 없는 기록으로 들어갑니다";
+
+        row.appendChild(title);
+        row.appendChild(detail);
+        row.appendChild(range);
+        body.appendChild(row);
     });
 
-    popupEl.appendChild(img);
-    popupEl.appendChild(info);
-    popupEl.appendChild(delBtn);
+    document.getElementById("merge-confirm-btn").disabled = allPoints.length === 0;
+
+    if (mergePreviewLayer) map.removeLayer(mergePreviewLayer);
+    mergePreviewLayer = L.layerGroup(
+        sources.flatMap(s => s.segments).map(seg =>
+            L.polyline(seg.map(p => [p.lat, p.lng]),
+                { color: "#4db8ff", weight: 3, dashArray: "4 6" })
+        )
+    ).addTo(map);
+    if (allPoints.length > 0) {
+        map.fitBounds(L.latLngBounds(allPoints.map(p => [p.lat, p.lng])), { padding: [40, 40] });
+    }
 
-    marker.bindPopup(popupEl);
-    photoMarkers.set(data.id, marker);
-    if (openPopup) marker.openPopup();
+    toggleSidebar(false);
+    document.getElementById("merge-popup").classList.add("show");
 }
 
-// ✅ 사진 삭제 — updateStats 포함
-function deletePhoto(id) {
-    photos = photos.filter(p => p.id !== id);
-    const marker = photoMarkers.get(id);
-    if (marker) {
-        map.removeLayer(marker);
-        photoMarkers.delete(id);
-    }
+function closeMergePreview() {
+    pendingMerge = null;
+    if (mergePreviewLayer) { map.removeLayer(mergePreviewLayer); mergePreviewLayer = null; }
+    document.getElementById("merge-popup").classList.remove("show");
+}
+
+function confirmMerge() {
+    if (!pendingMerge) return;
+    const added = mergeImportedPath(pendingMerge.flatMap(source =>
+        source.segments.map(segment => ({ name: source.label, segments: [segment] }))
+    ));
+    closeMergePreview();
     updateStats();
     scheduleSave();
+    scheduleRender();
+    alert(`기록 합치기 완료\n${added}개 지점이 추가되었습니다.`);
+}
+
+function segmentDistance(segment) {
+    let dist = 0;
+    for (let i = 1; i < segment.length; i++) {
+        dist += L.latLng(segment[i].lat, segment[i].lng)
+            .distanceTo([segment[i - 1].lat, segment[i - 1].lng]);
+    }
+    return dist;
+}
+
+function formatDateRange(points) {
+    // 점이 많으면 Math.min(...)의 인자 수 제한을 넘으므로 직접 훑는다
+    let min = Infinity, max = -Infinity;
+    for (const p of points) {
+        if (p.startTime < min) min = p.startTime;
+        if (p.startTime > max) max = p.startTime;
+    }
+    const fmt = t => new Date(t).toLocaleDateString("ko-KR",
+        { year: "numeric", month: "short", day: "numeric" });
+    const first = fmt(min);
+    const last  = fmt(max);
+    return first === last ? first : `${first} ~ ${last}`;
+}
+
+// ── 가져온 경로 병합 ──────────────────────────────
+// tracks: [{ name, segments: [[점, ...], ...] }] — 새 점이 있는 트랙마다 세션 하나를 만든다
+function mergeImportedPath(tracks) {
+    const existing = new Set(pathCoordinates.map(pathPointKey));
+    let added = 0;
+
+    tracks.forEach(track => {
+        const session = {
+            id: nextSessionId, name: track.name || "",
+            startTime: Infinity, endTime: -Infinity, distance: 0,
+            settledUntil: 0, staysDetected: false
+        };
+
+        track.segments.forEach(segment => {
+            const fresh = segment
+                .filter(p => !existing.has(pathPointKey(p)))
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(p => ({ ...p, sessionId: session.id }));
+
+            for (let i = 0; i < fresh.length; i++) {
+                if (i > 0) {
+                    session.distance += L.latLng(fresh[i].lat, fresh[i].lng)
+                        .distanceTo([fresh[i - 1].lat, fresh[i - 1].lng]);
+                }
+                session.startTime = Math.min(session.startTime, fresh[i].startTime);
+                session.endTime   = Math.max(session.endTime, fresh[i].endTime);
+                existing.add(pathPointKey(fresh[i]));
+                pathCoordinates.push(fresh[i]);
+            }
+            added += fresh.length;
+        });
+
+        if (isFinite(session.startTime)) {
+            nextSessionId++;
+            totalDistance += session.distance;
+            sessions.push(session);
+            // 수단을 매기고 래스터·새로운 길·수단별 거리에 넣는다
+            settleSession(session, true);
+            recordSessionStays(session);
+        }
+    });
+
+    if (added > 0) {
+        pathCoordinates.sort((a, b) => a.startTime - b.startTime);
+        compactPathData();
+        // 가져온 기록은 지난 날의 지도에도 들어가야 한다
+        timeMachineRaster = null;
+        updateSessionList();
+        updatePlaceList();
+    }
+    return added;
+}
+
+function pathPointKey(p) {
+    return `${p.startTime}_${p.lat.toFixed(5)}_${p.lng.toFixed(5)}`;
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href     = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 function escapeHtml(value) {
@@ -871,6 +5672,13 @@ function escapeHtml(value) {
         .replace(/'/g, "&#39;");
 }
 
+function unescapeHtml(value) {
+    return String(value)
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
 // ── 초기화 ────────────────────────────────────────
 function renderStoredMarkers() {
     memories.forEach(m => createMemoryMarker(m, false));
@@ -880,15 +5688,26 @@ function renderStoredPhotoMarkers() {
     photos.forEach(p => createPhotoMarker(p, false));
 }
 
-function init() {
+async function init() {
     resizeCanvas();
-    loadState();
+    await loadState();
     renderStoredMarkers();
     renderStoredPhotoMarkers();
     updateStats();
     updateMemoryList();
+    updatePhotoList();
+    updateTrashList();
+    updateSessionList();
+    updatePlaceList();
     syncRecordingUI();
     syncFogButton();
+    syncRoadMatchButton();
+    syncModeFilterUI();
+    syncReplayDate();
+    syncTimeMachineUI();
+    syncTimeFilterUI();
+    syncHeatmapUI();
+    syncMemoryListUI();
     scheduleRender();
 }
 
@@ -0,0 +1,154 @@
+// stays.js - 머문 곳 찾기와 자주 가는 곳 묶기 (루트 앱과 나의대동여지도 앱이 함께 쓴다)
+//
+// StayDetector: 기준점에서 radius 안에 minDuration 이상 머문 구간을 머문 곳(stay)으로 찾는다.
+// 한 점씩 넣어도(add) 한꺼번에 넣어도(detect) 결과가 같다.
+// PlaceClusterer: 여러 번 머문 곳을 radius 안에서 하나의 장소(place)로 묶는다.
+// 점은 { lat, lng, startTime, endTime } 또는 { lat, lng, time } 형태, 시각은 ms 또는 Date.
+// 거리는 Utils.calculateDistance(나의대동여지도/js/utils.js)로 잰다.
+
+const STAY_RADIUS_M      = 50;
+const STAY_MIN_MS        = 10 * 60 * 1000;
+const STAY_MAX_GAP_MS    = 3 * 60 * 60 * 1000;
+const PLACE_RADIUS_M     = 80;
+
+class StayDetector {
+    // maxGap: 기록이 이보다 오래 끊기면 같은 자리라도 머묾을 나눈다
+    constructor({ radius = STAY_RADIUS_M, minDuration = STAY_MIN_MS, maxGap = STAY_MAX_GAP_MS } = {}) {
+        this.radius      = radius;
+        this.minDuration = minDuration;
+        this.maxGap      = maxGap;
+        // 기준점(맨 앞)에서 radius 안에 있는 연속된 점들
+        this.pending = [];
+    }
+
+    reset() {
+        this.pending = [];
+    }
+
+    // 점 하나를 넣고, 이 점 때문에 끝난 머문 곳 목록을 돌려준다 (대개 비어 있다)
+    add(point) {
+        const startTime = Number(point.startTime ?? point.time);
+        const p = {
+            lat: point.lat, lng: point.lng,
+            startTime, endTime: Number(point.endTime ?? startTime)
+        };
+        const last = this.pending[this.pending.length - 1];
+        const finished = [];
+
+        if (last && p.startTime - last.endTime > this.maxGap) {
+            const stay = this.flush();
+            if (stay) finished.push(stay);
+        }
+        this.pending.push(p);
+
+        // 기준점에서 벗어난 점이 생기면 그 앞까지를 머묾으로 확정하거나 기준점을 한 칸 옮긴다.
+        // 기준점이 그대로면 새 점만 보면 되고, 옮겼으면 처음부터 다시 본다.
+        let from = this.pending.length - 1;
+        for (;;) {
+            const anchor = this.pending[0];
+            let out = -1;
+            for (let i = Math.max(1, from); i < this.pending.length; i++) {
+                const p = this.pending[i];
+                if (Utils.calculateDistance(anchor.lat, anchor.lng, p.lat, p.lng) > this.radius) { out = i; break; }
+            }
+            if (out < 0) break;
+
+            const span = this.pending.slice(0, out);
+            if (StayDetector._duration(span) >= this.minDuration) {
+                finished.push(StayDetector._makeStay(span));
+                this.pending = this.pending.slice(out);
+            } else {
+                this.pending.shift();
+            }
+            from = 1;
+        }
+        return finished;
+    }
+
+    // 지금 머무는 중이면 그 머묾 (확정하지 않는다)
+    current() {
+        if (StayDetector._duration(this.pending) < this.minDuration) return null;
+        return StayDetector._makeStay(this.pending);
+    }
+
+    // 남은 점을 정리하고, 충분히 머물렀으면 그 머묾을 돌려준다
+    flush() {
+        const stay = this.current();
+        this.pending = [];
+        return stay;
+    }
+
+    // 시간순 점 목록 전체에서 머문 곳을 찾는다
+    detect(points) {
+        this.reset();
+        const stays = [];
+        points.forEach(p => stays.push(...this.add(p)));
+        const last = this.flush();
+        if (last) stays.push(last);
+        return stays;
+    }
+
+    static _duration(span) {
+        if (span.length === 0) return 0;
+        return span[span.length - 1].endTime - span[0].startTime;
+    }
+
+    static _makeStay(span) {
+        const startTime = span[0].startTime;
+        const endTime   = span[span.length - 1].endTime;
+        return {
+            lat: span.reduce((sum, p) => sum + p.lat, 0) / span.length,
+            lng: span.reduce((sum, p) => sum + p.lng, 0) / span.length,
+            startTime, endTime,
+            duration: endTime - startTime,
+            pointCount: span.length
+        };
+    }
+}
+
+class PlaceClusterer {
+    constructor({ radius = PLACE_RADIUS_M } = {}) {
+        this.radius = radius;
+    }
+
+    // 오래 머문 곳부터 중심을 잡아, radius 안의 머묾을 한 장소로 모은다.
+    // 장소 중심은 머문 시간으로 가중한 평균이고 id는 장소의 첫 방문 시각에서 만든다.
+    cluster(stays) {
+        const places = [];
+        [...stays].sort((a, b) => b.duration - a.duration).forEach(stay => {
+            let nearest = null, nearestDist = Infinity;
+            places.forEach(place => {
+                const d = Utils.calculateDistance(place.lat, place.lng, stay.lat, stay.lng);
+                if (d <= this.radius && d < nearestDist) { nearest = place; nearestDist = d; }
+            });
+
+            if (!nearest) {
+                places.push({
+                    lat: stay.lat, lng: stay.lng,
+                    totalDuration: stay.duration, visitCount: 1,
+                    firstVisit: stay.startTime, lastVisit: stay.endTime,
+                    stays: [stay]
+                });
+                return;
+            }
+
+            const weight = nearest.totalDuration + stay.duration || 1;
+            nearest.lat = (nearest.lat * nearest.totalDuration + stay.lat * stay.duration) / weight;
+            nearest.lng = (nearest.lng * nearest.totalDuration + stay.lng * stay.duration) / weight;
+            nearest.totalDuration += stay.duration;
+            nearest.visitCount++;
+            nearest.firstVisit = Math.min(nearest.firstVisit, stay.startTime);
+            nearest.lastVisit  = Math.max(nearest.lastVisit, stay.endTime);
+            nearest.stays.push(stay);
+        });
+
+        places.forEach(place => {
+            place.id = `place-${place.firstVisit}`;
+            place.stays.sort((a, b) => a.startTime - b.startTime);
+        });
+        return places.sort((a, b) => b.totalDuration - a.totalDuration);
+    }
+}
+
+window.StayDetector   = StayDetector;
+window.PlaceClusterer = PlaceClusterer;
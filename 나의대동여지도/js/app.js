@@ -32,6 +32,13 @@ class DaedongMapApp {
         this.STAY_THRESHOLD = 3600000; // 1시간
         this.STAY_RADIUS = 50; // 50미터
         this.AUTOSAVE_INTERVAL = 5000; // 5초로 단축
+
+        // 머문 곳 찾기·장소 묶기 (../stays.js, 루트 앱과 같은 모듈)
+        this.stayDetector = new StayDetector({
+            radius: this.STAY_RADIUS,
+            minDuration: this.STAY_THRESHOLD
+        });
+        this.placeClusterer = new PlaceClusterer();
     }
 
     // 앱 초기화
@@ -52,6 +59,7 @@ class DaedongMapApp {
             
             // 저장된 데이터 로드
             await this.loadSavedData();
+            this.updateTrashView();
             
             // 자동 저장 설정
             this.setupAutoSave();
@@ -93,7 +101,9 @@ class DaedongMapApp {
         
         if (savedData) {
             this.routes = savedData.routes || [];
-            this.stayAreas = savedData.stayAreas || [];
+            // 예전 형식에는 머물지 않은 후보 지점도 섞여 있었다
+            this.stayAreas = (savedData.stayAreas || [])
+                .filter(area => area.duration >= this.STAY_THRESHOLD);
             this.totalDistance = savedData.totalDistance || 0;
             
             // 현재 추적 중이던 경로 복원 (있다면)
@@ -107,12 +117,8 @@ class DaedongMapApp {
                 this.map.drawRoute(route, this.currentTime);
             });
             
-            // 체류 구역 그리기
-            this.stayAreas.forEach(area => {
-                if (area.duration >= this.STAY_THRESHOLD) {
-                    this.map.drawStayArea(area);
-                }
-            });
+            // 장소 그리기
+            this.drawPlaces();
             
             console.log('데이터 복원 완료:', {
                 경로수: this.routes.length,
@@ -294,6 +300,13 @@ class DaedongMapApp {
     }
 
     onTrackingStop() {
+        // 추적을 멈추면 지금 머무는 곳도 끝난 것으로 본다
+        const stay = this.stayDetector.flush();
+        if (stay) {
+            this.stayAreas.push(this.toStayArea(stay));
+            this.drawPlaces();
+        }
+
         if (this.currentRoute && this.currentRoute.points.length > 1) {
             this.currentRoute.endTime = new Date();
             this.routes.push(this.currentRoute);
@@ -353,23 +366,38 @@ class DaedongMapApp {
 
     async clearStoredData() {
         const confirmed = await this.ui.confirmDialog(
-            '저장된 모든 데이터를 삭제하시겠습니까?\n(이 작업은 되돌릴 수 없습니다)'
+            '저장된 모든 데이터를 삭제하시겠습니까?\n(30일 동안 휴지통에서 복원할 수 있습니다)'
         );
         
-        if (confirmed) {
-            this.storage.clearStoredData();
+        if (!confirmed) return;
+
+        if (this.storage.clearStoredData()) {
             location.reload();
+        } else {
+            this.ui.showFeedback('휴지통에 옮기지 못해 삭제를 취소했습니다 (저장 공간 부족)');
         }
     }
 
     async clearAllRoutes() {
         const confirmed = await this.ui.confirmDialog(
-            '모든 경로를 삭제하시겠습니까?\n(저장된 데이터도 함께 삭제됩니다)'
+            '모든 경로를 삭제하시겠습니까?\n(30일 동안 휴지통에서 복원할 수 있습니다)'
         );
         
         if (confirmed) {
+            // 추적 중이던 경로도 함께 휴지통으로
+            const trashId = this.storage.trashRoutes('모든 경로', {
+                routes: this.currentRoute ? [...this.routes, this.currentRoute] : this.routes,
+                stayAreas: this.stayAreas,
+                totalDistance: this.totalDistance + (this.currentRoute ? this.currentRoute.distance : 0)
+            });
+            if (!trashId) {
+                this.ui.showFeedback('휴지통에 옮기지 못해 삭제를 취소했습니다 (저장 공간 부족)');
+                return;
+            }
+
             this.map.clearAllRoutes();
-            this.map.clearAllStayAreas();
+            this.map.clearAllPlaces();
+            this.stayDetector.reset();
             
             this.routes = [];
             this.stayAreas = [];
@@ -377,21 +405,82 @@ class DaedongMapApp {
             this.cachedDistance = null;
             this.currentRoute = null;
             
-            this.storage.clearStoredData();
+            this.saveData();
             this.updateStats();
+            this.updateTrashView();
             
-            this.ui.showFeedback('모든 경로가 삭제되었습니다');
+            this.ui.showUndo('모든 경로를 휴지통으로 옮겼습니다', () => this.restoreFromTrash(trashId));
         }
     }
 
-    exportData() {
+    // === 휴지통 ===
+
+    updateTrashView() {
+        this.ui.renderTrash(this.storage.getTrash(), {
+            onRestore: id => this.restoreFromTrash(id),
+            onPurge: id => this.purgeTrash(id)
+        });
+    }
+
+    // 휴지통의 경로·머문 곳을 지금 기록에 합친다 (이미 있는 경로는 건너뜀)
+    restoreFromTrash(id) {
+        const entry = this.storage.takeFromTrash(id);
+        if (!entry) return;
+
+        const known = new Set(this.routes.map(route => route.id));
+        const restored = entry.data.routes.filter(route => !known.has(route.id));
+        restored.forEach(route => {
+            this.routes.push(route);
+            this.map.drawRoute(route, this.currentTime);
+        });
+        this.totalDistance += restored.length === entry.data.routes.length
+            ? entry.data.totalDistance
+            : restored.reduce((sum, route) => sum + route.distance, 0);
+
+        const knownStays = new Set(this.stayAreas.map(area => area.startTime.getTime()));
+        this.stayAreas.push(...entry.data.stayAreas.filter(area => !knownStays.has(area.startTime.getTime())));
+        this.cachedDistance = null;
+
+        this.drawPlaces();
+        this.saveData();
+        this.updateStats();
+        this.updateTrashView();
+        this.ui.showFeedback(`${entry.label}을(를) 복원했습니다 (경로: ${restored.length}개)`);
+    }
+
+    async purgeTrash(id) {
+        const confirmed = await this.ui.confirmDialog(
+            '휴지통에서 영구 삭제하시겠습니까?\n(이 작업은 되돌릴 수 없습니다)'
+        );
+
+        if (confirmed) {
+            this.storage.purgeTrash(id);
+            this.updateTrashView();
+        }
+    }
+
+    async emptyTrash() {
+        const confirmed = await this.ui.confirmDialog(
+            '휴지통을 비우시겠습니까?\n(이 작업은 되돌릴 수 없습니다)'
+        );
+
+        if (confirmed) {
+            this.storage.emptyTrash();
+            this.updateTrashView();
+        }
+    }
+
+    // format: 'json' (앱 백업용) 또는 'geojson' (QGIS 등 GIS 도구용)
+    exportData(format = 'json') {
         if (this.storage.exportData({
             routes: this.routes,
             stayAreas: this.stayAreas,
             totalDistance: this.totalDistance,
             currentRoute: this.currentRoute
-        })) {
-            this.ui.showFeedback('데이터가 내보내기되었습니다');
+        }, format)) {
+            this.ui.showFeedback(format === 'geojson' ?
+                'GeoJSON으로 내보내기되었습니다' :
+                '데이터가 내보내기되었습니다');
         } else {
             this.ui.showFeedback('내보내기 실패: 데이터가 너무 클 수 있습니다');
         }
@@ -469,33 +558,39 @@ class DaedongMapApp {
 
     // === 기타 기능 메서드 ===
     
+    // 머문 곳은 StayDetector가 찾고, 지도에는 머문 곳을 묶은 장소를 그린다
     checkStayArea(lat, lng, timestamp) {
-        // 기존 체류 구역 확인
-        for (let i = this.stayAreas.length - 1; i >= 0; i--) {
-            const area = this.stayAreas[i];
-            const distance = Utils.calculateDistance(area.lat, area.lng, lat, lng);
-            
-            if (distance <= this.STAY_RADIUS) {
-                area.endTime = timestamp;
-                area.duration = area.endTime - area.startTime;
-                
-                if (area.duration >= this.STAY_THRESHOLD && !area.drawn) {
-                    this.map.drawStayArea(area);
-                    area.drawn = true;
-                }
-                return;
-            }
+        const finished = this.stayDetector.add({ lat, lng, time: timestamp });
+        finished.forEach(stay => this.stayAreas.push(this.toStayArea(stay)));
+
+        if (finished.length > 0 || this.stayDetector.current()) {
+            this.drawPlaces();
         }
-        
-        // 새로운 체류 구역 추가
-        this.stayAreas.push({
-            lat: lat,
-            lng: lng,
-            startTime: timestamp,
-            endTime: timestamp,
-            duration: 0,
-            drawn: false
-        });
+    }
+
+    toStayArea(stay) {
+        return {
+            lat: stay.lat,
+            lng: stay.lng,
+            startTime: new Date(stay.startTime),
+            endTime: new Date(stay.endTime),
+            duration: stay.duration
+        };
+    }
+
+    // 저장된 머문 곳과 지금 머무는 곳을 함께 묶는다
+    drawPlaces() {
+        const current = this.stayDetector.current();
+        const stays = this.stayAreas.map(area => ({
+            lat: area.lat,
+            lng: area.lng,
+            startTime: area.startTime.getTime(),
+            endTime: area.endTime.getTime(),
+            duration: area.duration
+        }));
+        if (current) stays.push(current);
+
+        this.map.drawPlaces(this.placeClusterer.cluster(stays));
     }
 
     updateStats() {
@@ -554,6 +649,7 @@ class DaedongMapApp {
 • 5초마다 자동 저장
 • 페이지 새로고침해도 데이터 유지
 • 수동 백업/복원 가능
+• JSON(백업용) / GeoJSON(GIS 도구용) 내보내기 선택 가능
 
 📊 현재 상태:
 • 저장된 경로: ${this.routes.length}개
@@ -1,5 +1,7 @@
 // js/gps.js - GPS 추적 기능
 
+// KalmanFilter는 ../kalman.js (루트 앱과 함께 쓴다)
+
 class GPSTracker {
     constructor() {
         this.watchId = null;
@@ -8,6 +10,7 @@ class GPSTracker {
         this.lastValidLocation = null;
         this.locationUpdateCount = 0;
         this.trackingStartTime = null;
+        this.kalman = new KalmanFilter();
         
         // GPS 옵션
         this.options = {
@@ -62,6 +65,7 @@ class GPSTracker {
             this.isPaused = false;
             this.trackingStartTime = new Date();
             this.locationUpdateCount = 0;
+            this.kalman.reset();
             
             if (this.callbacks.onStart) {
                 this.callbacks.onStart();
@@ -106,6 +110,7 @@ class GPSTracker {
             this.isPaused = false;
             this.locationUpdateCount = 0;
             this.lastValidLocation = null;
+            this.kalman.reset();
             
             if (this.callbacks.onStop) {
                 this.callbacks.onStop();
@@ -148,7 +153,7 @@ class GPSTracker {
     // 위치 업데이트 처리
     _onLocationUpdate(position) {
         try {
-            const { latitude: lat, longitude: lng, accuracy, speed } = position.coords;
+            const { latitude: lat, longitude: lng, accuracy, speed, heading } = position.coords;
             const timestamp = new Date();
             
             this.locationUpdateCount++;
@@ -188,15 +193,16 @@ class GPSTracker {
                 }
             }
 
-            // 유효한 위치 업데이트
-            const locationData = {
+            // 유효한 위치 업데이트 (저장 전에 보정)
+            const locationData = this.calibrateLocation({
                 lat,
                 lng,
                 accuracy,
-                speed: speed || 0,
+                speed,
+                heading,
                 timestamp,
                 isTracking: this.isTracking && !this.isPaused
-            };
+            });
 
             this.lastValidLocation = locationData;
 
@@ -281,10 +287,25 @@ class GPSTracker {
     }
 
     // GPS 정확도 향상을 위한 보정
+    // 칼만 필터로 튀는 위치(빌딩 숲 반사 등)를 눌러 준다. 보고된 정확도와 속도를 함께 쓴다.
     calibrateLocation(location) {
-        // 칼만 필터나 다른 보정 알고리즘 적용 가능
-        // 현재는 기본값 반환
-        return location;
+        const filtered = this.kalman.update(
+            location.lat,
+            location.lng,
+            location.accuracy,
+            location.speed,
+            location.heading,
+            location.timestamp.getTime()
+        );
+        return {
+            ...location,
+            lat: filtered.lat,
+            lng: filtered.lng,
+            accuracy: filtered.accuracy,
+            speed: location.speed || 0,
+            rawLat: location.lat,
+            rawLng: location.lng
+        };
     }
 
     // 배터리 절약 모드 설정
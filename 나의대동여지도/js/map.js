@@ -6,7 +6,7 @@ class MapManager {
         this.map = null;
         this.currentLocationMarker = null;
         this.routePolylines = new Map();
-        this.stayMarkers = new Map();
+        this.placeMarkers = new Map();
         this.currentMapStyle = 0;
         
         // 지도 스타일 옵션
@@ -208,39 +208,39 @@ class MapManager {
         });
     }
 
-    // 체류 구역 그리기
-    drawStayArea(area) {
+    // 장소 그리기 (PlaceClusterer 결과 전체를 다시 그린다)
+    drawPlaces(places) {
         try {
-            // 기존 마커 제거
-            const key = `${area.lat}_${area.lng}`;
-            if (this.stayMarkers.has(key)) {
-                this.map.removeLayer(this.stayMarkers.get(key));
-            }
+            this.clearAllPlaces();
 
-            // 1시간 이상 체류한 구역만 표시
-            if (area.duration >= 3600000) {
-                const marker = L.circleMarker([area.lat, area.lng], {
-                    radius: 15,
+            places.forEach(place => {
+                // 머문 시간이 길수록 크게, 자주 올수록 진하게
+                const hours = place.totalDuration / 3600000;
+                const marker = L.circleMarker([place.lat, place.lng], {
+                    radius: Utils.clamp(10 + Math.log2(1 + hours) * 3, 10, 30),
                     fillColor: '#FFD700',
                     color: '#FFA500',
                     weight: 2,
                     opacity: 0.8,
-                    fillOpacity: 0.6
+                    fillOpacity: Utils.clamp(0.3 + place.visitCount * 0.05, 0.3, 0.7)
                 }).addTo(this.map);
 
-                // 툴팁 추가
-                const hours = Math.floor(area.duration / 3600000);
-                const minutes = Math.floor((area.duration % 3600000) / 60000);
-                marker.bindTooltip(`체류 시간: ${hours}시간 ${minutes}분`, {
-                    permanent: false,
-                    direction: 'top'
-                });
+                const total = Math.floor(place.totalDuration / 60000);
+                marker.bindTooltip(
+                    `머문 시간: ${Math.floor(total / 60)}시간 ${total % 60}분 · ${place.visitCount}번 방문<br>` +
+                    `처음: ${Utils.formatDate(new Date(place.firstVisit))} · ` +
+                    `마지막: ${Utils.formatDate(new Date(place.lastVisit))}`,
+                    {
+                        permanent: false,
+                        direction: 'top'
+                    }
+                );
+
+                this.placeMarkers.set(place.id, marker);
+            });
 
-                this.stayMarkers.set(key, marker);
-            }
-            
         } catch (error) {
-            console.error('체류 구역 그리기 실패:', error);
+            console.error('장소 그리기 실패:', error);
         }
     }
 
@@ -260,12 +260,12 @@ class MapManager {
         this.routePolylines.clear();
     }
 
-    // 모든 체류 구역 제거
-    clearAllStayAreas() {
-        this.stayMarkers.forEach(marker => {
+    // 모든 장소 제거
+    clearAllPlaces() {
+        this.placeMarkers.forEach(marker => {
             this.map.removeLayer(marker);
         });
-        this.stayMarkers.clear();
+        this.placeMarkers.clear();
     }
 
     // 경로 경계에 맞춰 지도 조정
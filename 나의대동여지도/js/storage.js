@@ -1,8 +1,38 @@
 // js/storage.js - 데이터 저장/불러오기
 
+// 저장 형식 마이그레이션 목록
+// 각 단계는 from 버전 데이터를 받아 to 버전 데이터를 돌려주는 순수 함수 (입력은 변경하지 않음)
+// from이 null이면 version 필드가 없던 초기 형식
+// 목록에 없는 예전 버전(schemaVersion보다 낮은 값)은 초기 형식처럼 첫 단계부터 변환한다
+const STORAGE_MIGRATIONS = [
+    {
+        from: null,
+        to: '2.1',
+        migrate: data => ({
+            routes: (data.routes || [])
+                .filter(route => Array.isArray(route.points))
+                .map(route => ({
+                    ...route,
+                    distance: route.distance || 0
+                })),
+            stayAreas: (data.stayAreas || []).map(area => ({
+                ...area,
+                duration: area.duration ?? (area.endTime - area.startTime)
+            })),
+            totalDistance: data.totalDistance || 0,
+            lastSaved: data.lastSaved || Date.now(),
+            version: '2.1'
+        })
+    }
+];
+
 class StorageManager {
     constructor() {
         this.storageKey = 'daedongMap_data';
+        this.trashKey = this.storageKey + '_trash';
+        this.trashRetention = 30 * 24 * 60 * 60 * 1000; // 휴지통 보관 기간 30일
+        this.schemaVersion = '2.1';
+        this.incompatibleVersion = null; // 더 새로운 앱이 저장한 데이터면 덮어쓰지 않음
         this.maxStorageSize = 5 * 1024 * 1024; // 5MB 제한
         this.compression = true;
         
@@ -12,6 +42,11 @@ class StorageManager {
 
     // 데이터 저장
     _saveToStorage(data) {
+        if (this.incompatibleVersion) {
+            console.warn(`버전 ${this.incompatibleVersion} 데이터를 보호하기 위해 저장하지 않습니다`);
+            return false;
+        }
+
         try {
             const serializedData = this._serializeData(data);
             const dataStr = JSON.stringify(serializedData);
@@ -61,7 +96,7 @@ class StorageManager {
             })),
             totalDistance: Math.round(data.totalDistance),
             lastSaved: Date.now(),
-            version: '2.1'
+            version: this.schemaVersion
         };
     }
 
@@ -155,35 +190,8 @@ class StorageManager {
             const savedData = localStorage.getItem(this.storageKey);
             if (!savedData) return null;
 
-            const data = JSON.parse(savedData);
-            
-            // 버전 체크
-            if (data.version !== '2.1') {
-                console.warn('데이터 버전이 다릅니다. 마이그레이션이 필요할 수 있습니다.');
-            }
-            
-            // 데이터 역직렬화
-            return {
-                routes: data.routes?.map(route => ({
-                    ...route,
-                    points: route.points.map(p => ({
-                        lat: p.lat,
-                        lng: p.lng,
-                        timestamp: new Date(p.timestamp),
-                        accuracy: p.accuracy
-                    })),
-                    startTime: new Date(route.startTime),
-                    endTime: route.endTime ? new Date(route.endTime) : null
-                })) || [],
-                stayAreas: data.stayAreas?.map(area => ({
-                    ...area,
-                    startTime: new Date(area.startTime),
-                    endTime: new Date(area.endTime),
-                    marker: null
-                })) || [],
-                totalDistance: data.totalDistance || 0,
-                lastSaved: new Date(data.lastSaved)
-            };
+            // 버전 확인 및 마이그레이션
+            return this._deserializeData(this._migrate(JSON.parse(savedData)));
         } catch (error) {
             console.error('데이터 복원 실패:', error);
             
@@ -194,27 +202,126 @@ class StorageManager {
         }
     }
 
-    // 데이터 내보내기
-    exportData(data) {
+    // 데이터 역직렬화
+    _deserializeData(data) {
+        return {
+            routes: data.routes?.map(route => ({
+                ...route,
+                points: route.points.map(p => ({
+                    lat: p.lat,
+                    lng: p.lng,
+                    timestamp: new Date(p.timestamp),
+                    accuracy: p.accuracy
+                })),
+                startTime: new Date(route.startTime),
+                endTime: route.endTime ? new Date(route.endTime) : null
+            })) || [],
+            stayAreas: data.stayAreas?.map(area => ({
+                ...area,
+                startTime: new Date(area.startTime),
+                endTime: new Date(area.endTime),
+                marker: null
+            })) || [],
+            totalDistance: data.totalDistance || 0,
+            lastSaved: new Date(data.lastSaved)
+        };
+    }
+
+    // 저장 형식 마이그레이션 실행
+    _migrate(data) {
+        let current = data;
+        let step;
+        
+        while ((step = this._findMigration(current.version))) {
+            // 단계마다 변환 전 데이터 백업 — 백업이 안 되면 변환하지 않고 읽기 전용으로 연다
+            if (!this._backupBeforeMigration(current, current.version)) {
+                this.incompatibleVersion = current.version ?? 'none';
+                window.app?.ui?.showFeedback('백업 공간이 부족해 데이터를 변환하지 못했습니다');
+                return current;
+            }
+            current = step.migrate(current);
+        }
+        
+        if (current.version !== this.schemaVersion) {
+            this.incompatibleVersion = current.version;
+            console.warn(`알 수 없는 데이터 버전입니다: ${current.version}`);
+            window.app?.ui?.showFeedback('더 새로운 버전의 데이터입니다. 읽기 전용으로 엽니다.');
+            return current;
+        }
+        
+        if (current !== data) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(current));
+            } catch (e) {
+                // 변환한 데이터는 메모리에서 그대로 쓰고, 다음 저장 때 다시 써 본다
+                console.error('변환한 데이터 저장 실패:', e);
+                window.app?.ui?.showFeedback('저장 공간이 부족해 변환한 데이터를 아직 저장하지 못했습니다');
+            }
+        }
+        
+        return current;
+    }
+
+    // 이 버전에서 출발하는 마이그레이션 단계
+    _findMigration(version) {
+        const step = STORAGE_MIGRATIONS.find(m => m.from === (version ?? null));
+        if (step || version == null) return step;
+        return this._compareVersions(version, this.schemaVersion) < 0
+            ? STORAGE_MIGRATIONS.find(m => m.from === null)
+            : undefined;
+    }
+
+    // '2.1' 같은 점 구분 버전 비교 (a가 낮으면 음수)
+    _compareVersions(a, b) {
+        const pa = String(a).split('.').map(Number);
+        const pb = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    // 마이그레이션 전 데이터 백업 (버전별로 따로 보관)
+    _backupBeforeMigration(data, version) {
         try {
+            localStorage.setItem(
+                `${this.storageKey}_backup_v${version || 'none'}`,
+                JSON.stringify(data)
+            );
+            return true;
+        } catch (e) {
+            console.error('백업 실패:', e);
+            return false;
+        }
+    }
+
+    // 데이터 내보내기 (format: 'json' | 'geojson')
+    exportData(data, format = 'json') {
+        try {
+            const date = new Date().toISOString().split('T')[0];
+            
+            if (format === 'geojson') {
+                const geojson = this._toGeoJSON(data);
+                this._downloadFile(
+                    JSON.stringify(geojson, null, 2),
+                    `나의대동여지도_${date}.geojson`,
+                    'application/geo+json'
+                );
+                return true;
+            }
+            
             const exportData = {
                 ...this._serializeData(data),
                 exportTime: new Date().toISOString(),
                 userAgent: navigator.userAgent
             };
 
-            const dataStr = JSON.stringify(exportData, null, 2);
-            const dataBlob = new Blob([dataStr], {type: 'application/json'});
-            const url = URL.createObjectURL(dataBlob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `나의대동여지도_${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this._downloadFile(
+                JSON.stringify(exportData, null, 2),
+                `나의대동여지도_${date}.json`,
+                'application/json'
+            );
             
             return true;
         } catch (error) {
@@ -223,6 +330,74 @@ class StorageManager {
         }
     }
 
+    // GeoJSON FeatureCollection 변환 (GIS 도구용, 좌표는 [lng, lat])
+    _toGeoJSON(data) {
+        const routes = [...data.routes];
+        if (data.currentRoute && data.currentRoute.points.length > 1) {
+            routes.push(data.currentRoute);
+        }
+        
+        const routeFeatures = routes
+            .filter(route => route.points && route.points.length > 1)
+            .map(route => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: route.points.map(p => [p.lng, p.lat])
+                },
+                properties: {
+                    kind: 'route',
+                    id: route.id,
+                    startTime: route.startTime.toISOString(),
+                    endTime: route.endTime ? route.endTime.toISOString() : null,
+                    distance: Math.round(route.distance),
+                    // 꼭짓점별 값은 coordinates와 같은 순서의 배열로 둔다
+                    coordTimes: route.points.map(p => p.timestamp.toISOString()),
+                    accuracy: route.points.map(p => Math.round(p.accuracy))
+                }
+            }));
+        
+        const stayFeatures = data.stayAreas.map(area => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [area.lng, area.lat]
+            },
+            properties: {
+                kind: 'stayArea',
+                startTime: area.startTime.toISOString(),
+                endTime: area.endTime.toISOString(),
+                duration: area.duration,
+                durationMinutes: Math.round(area.duration / 60000)
+            }
+        }));
+        
+        return {
+            type: 'FeatureCollection',
+            features: [...routeFeatures, ...stayFeatures],
+            properties: {
+                totalDistance: Math.round(data.totalDistance),
+                exportTime: new Date().toISOString(),
+                version: this.schemaVersion
+            }
+        };
+    }
+
+    // 파일 다운로드
+    _downloadFile(content, filename, mimeType) {
+        const dataBlob = new Blob([content], {type: mimeType});
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // 데이터 가져오기
     async importData(file) {
         try {
@@ -234,8 +409,8 @@ class StorageManager {
                 throw new Error('유효하지 않은 데이터 형식입니다');
             }
             
-            // 현재 데이터 백업
-            this._backupCurrentData();
+            // 지금까지의 기록은 휴지통으로 (옮기지 못하면 덮어쓰지 않음)
+            this._trashCurrentData('가져오기 전 기록');
             
             // 데이터 저장
             localStorage.setItem(this.storageKey, text);
@@ -247,11 +422,11 @@ class StorageManager {
         }
     }
 
-    // 저장된 데이터 삭제
+    // 저장된 데이터 삭제 (지운 기록은 휴지통에서 복원할 수 있다)
     clearStoredData() {
         try {
-            // 백업
-            this._backupCurrentData();
+            // 휴지통으로 (옮기지 못하면 지우지 않음)
+            this._trashCurrentData('지운 기록');
             
             // 삭제
             localStorage.removeItem(this.storageKey);
@@ -306,18 +481,70 @@ class StorageManager {
         }
     }
 
-    // 현재 데이터 백업
-    _backupCurrentData() {
+    // 저장된 현재 데이터를 휴지통으로 옮김 (실패하면 예외)
+    _trashCurrentData(label) {
+        const current = localStorage.getItem(this.storageKey);
+        if (current) {
+            this._addToTrash('history', label, JSON.parse(current));
+        }
+    }
+
+    // === 휴지통 ===
+    // 항목: { id, kind: 'routes' | 'history', label, deletedAt, data (저장 형식) }
+    // trashRetention이 지난 항목은 읽을 때 버린다
+
+    // 지운 경로를 휴지통에 넣고 항목 id를 돌려준다 (실패하면 null)
+    trashRoutes(label, data) {
         try {
-            const current = localStorage.getItem(this.storageKey);
-            if (current) {
-                localStorage.setItem(this.storageKey + '_backup', current);
-            }
+            return this._addToTrash('routes', label, this._serializeData(data)).id;
         } catch (e) {
-            console.error('백업 실패:', e);
+            console.error('휴지통 저장 실패:', e);
+            return null;
+        }
+    }
+
+    getTrash() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.trashKey) || '[]');
+            const kept = entries.filter(entry => Date.now() - entry.deletedAt < this.trashRetention);
+            if (kept.length !== entries.length) this._writeTrash(kept);
+            return kept;
+        } catch (e) {
+            console.error('휴지통 읽기 실패:', e);
+            return [];
         }
     }
 
+    // 휴지통에서 꺼내 역직렬화한 데이터를 돌려준다
+    takeFromTrash(id) {
+        const entries = this.getTrash();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return null;
+
+        this._writeTrash(entries.filter(e => e !== entry));
+        return { ...entry, data: this._deserializeData(this._migrate(entry.data)) };
+    }
+
+    purgeTrash(id) {
+        this._writeTrash(this.getTrash().filter(e => e.id !== id));
+    }
+
+    emptyTrash() {
+        localStorage.removeItem(this.trashKey);
+    }
+
+    _addToTrash(kind, label, data) {
+        const deletedAt = Date.now();
+        const entry = { id: `${kind}-${deletedAt}`, kind, label, deletedAt, data };
+        this._writeTrash([...this.getTrash(), entry]);
+        return entry;
+    }
+
+    // 공간이 모자라도 다른 항목을 버리지 않는다 (예외는 부르는 쪽이 처리)
+    _writeTrash(entries) {
+        localStorage.setItem(this.trashKey, JSON.stringify(entries));
+    }
+
     // 가져온 데이터 유효성 검증
     _validateImportData(data) {
         return data && 
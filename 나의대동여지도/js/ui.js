@@ -44,6 +44,9 @@ class UIManager {
             floatingSimBtn: document.getElementById('floatingSimBtn'),
             gpsFeedback: document.getElementById('gpsFeedback'),
             
+            // 휴지통
+            trashList: document.getElementById('trashList'),
+            
             // 로딩
             loading: document.getElementById('loading')
         };
@@ -193,6 +196,33 @@ class UIManager {
         }, duration);
     }
 
+    // 되돌리기 버튼이 달린 피드백 (알림이 떠 있는 동안만 누를 수 있음)
+    showUndo(message, onUndo, duration = 6000) {
+        const feedback = this.elements.gpsFeedback;
+        if (!feedback) return;
+
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'undo-btn';
+        undoBtn.textContent = '되돌리기';
+        undoBtn.addEventListener('click', () => {
+            clearTimeout(this.feedbackTimeout);
+            feedback.classList.remove('show');
+            onUndo();
+        }, { once: true });
+
+        feedback.textContent = message;
+        feedback.appendChild(undoBtn);
+        feedback.classList.add('show');
+
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+        }
+
+        this.feedbackTimeout = setTimeout(() => {
+            feedback.classList.remove('show');
+        }, duration);
+    }
+
     // 사이드바 토글
     toggleSidebar() {
         const sidebar = this.elements.sidebar;
@@ -248,6 +278,42 @@ class UIManager {
         }
     }
 
+    // 휴지통 목록 (최근에 지운 것부터)
+    renderTrash(entries, { onRestore, onPurge }) {
+        const list = this.elements.trashList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<small>휴지통이 비어 있습니다</small>';
+            return;
+        }
+
+        [...entries].sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'trash-item';
+
+            const info = document.createElement('div');
+            info.textContent = `${entry.label} · 경로 ${(entry.data.routes || []).length}개`;
+            const date = document.createElement('small');
+            date.textContent = `${Utils.formatDate(new Date(entry.deletedAt))} 삭제`;
+            info.appendChild(document.createElement('br'));
+            info.appendChild(date);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = '복원';
+            restoreBtn.addEventListener('click', () => onRestore(entry.id));
+
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'danger';
+            purgeBtn.textContent = '영구 삭제';
+            purgeBtn.addEventListener('click', () => onPurge(entry.id));
+
+            item.append(info, restoreBtn, purgeBtn);
+            list.appendChild(item);
+        });
+    }
+
     // 속도 버튼 활성화
     setActiveSpeedButton(speed) {
         document.querySelectorAll('.speed').forEach(btn => {
@@ -88,10 +88,10 @@ const Utils = {
         return clonedObj;
     },
 
-    // 배열 그룹화
+    // 배열 그룹화 (key는 속성 이름 또는 항목을 받아 키를 돌려주는 함수, 묶음 순서는 처음 나온 순서)
     groupBy(array, key) {
         return array.reduce((result, item) => {
-            const group = item[key];
+            const group = typeof key === 'function' ? key(item) : item[key];
             if (!result[group]) result[group] = [];
             result[group].push(item);
             return result;